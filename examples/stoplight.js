@@ -1,23 +1,26 @@
 /**
  * This machine represents a stop light that is a circular state machine with
- * no accepting or terminal states.  Without the `circular` and `maxHistory`
- * options, the list of past states would grow infinitely.  The `maxHistory`
- * forces the machine's history to act more like a FIFO queue where each new
- * state past the max length will push an item out of history.
+ * no accepting or terminal states.  Without the `maxHistory` option, the list
+ * of past states would grow infinitely.  The `maxHistory` forces the machine's
+ * history to act more like a FIFO queue where each new state past the max
+ * length will push an item out of history.
  *
- * The input in this machine actually does not matter, it just triggers the
- * state machine to transition to the next state.  The `red` and `green` states
- * have only one catch-all transition, but the yellow state determines its next
- * state by inspecting the previous state.
+ * The machine does not need any input: each light uses a timed transition to
+ * move to the next one after a delay.  A manual clock is used so that a few
+ * minutes of traffic can be simulated instantly; without the `clock` option
+ * the machine runs in real time.
  *
+ * A fault (the only input) makes the light flash until it is repaired.
  */
 
 var AwesomeAutomata = require('../lib/AwesomeAutomata');
 
+var clock = new AwesomeAutomata.ManualClock();
+
 var stoplight = new AwesomeAutomata({
   name: 'stoplight',
-  debug: true,
-  maxHistory: 3
+  maxHistory: 3,
+  clock: clock
 });
 
 stoplight.addStates([
@@ -26,28 +29,28 @@ stoplight.addStates([
     isInitial: true,
 
     outgoingTransitions: [
-      {state: 'yellow', criteria: function () { return true; }}
+      {state: 'green', after: 30000},
+      {state: 'flashing', criteria: 'fault'}
+    ]
+  },
+  {
+    name: 'green',
+    outgoingTransitions: [
+      {state: 'yellow', after: 25000},
+      {state: 'flashing', criteria: 'fault'}
     ]
   },
-
-  // The yellow state inspects the previous state to determine what the next
-  // state should be
-
   {
     name: 'yellow',
     outgoingTransitions: [
-      {state: 'green', criteria: function (input, previousState) {
-        return (previousState.getName() === 'red');
-      }},
-      {state: 'red', criteria: function (input, previousState) {
-        return (previousState.getName() === 'green');
-      }}
+      {state: 'red', after: 5000},
+      {state: 'flashing', criteria: 'fault'}
     ]
   },
   {
-    name: 'green',
+    name: 'flashing',
     outgoingTransitions: [
-      {state: 'yellow', criteria: function () { return true; }}
+      {state: 'red', criteria: 'repaired'}
     ]
   }
 ]);
@@ -55,24 +58,14 @@ stoplight.addStates([
 
 // Setup event callbacks
 stoplight.on('change', function (transition) {
-  console.log('> Changing state:', transition, '\n');
-});
-
-stoplight.on('reset', function (info) {
-  console.log('> Resetting machine:', info, '\n');
+  console.log('> ' + clock.now() / 1000 + 's: changing state from', transition.from, 'to', transition.to);
 });
 
-stoplight.on('return', function (value) {
-  console.log('> Hit an accepting state, got:', value, '\n');
-});
 
-
-var count = 0;
-var intervalId = setInterval(function () {
-  stoplight.next(new Date());
-  count++;
-
-  if (count > 10) {
-    clearInterval(intervalId);
-  }
-}, 100);
+// Simulate two minutes of traffic, with a fault after 70 seconds that takes
+// 20 seconds to repair
+clock.tick(70000);
+stoplight.next('fault');
+clock.tick(20000);
+stoplight.next('repaired');
+clock.tick(30000);
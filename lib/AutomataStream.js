@@ -0,0 +1,65 @@
+var util = require('util');
+var Transform = require('stream').Transform;
+
+/**
+ * An object-mode Transform stream that feeds every written chunk into the
+ * machine via `next()` and pushes every value returned by an accepting state
+ * or transition action (the `return` events) to the readable side.  `null`
+ * values are skipped since they would end the readable side.
+ *
+ * Backpressure is handled by the Transform stream itself: a chunk is only
+ * passed to the machine once the values produced by the previous chunk have
+ * been buffered.  Any `error` emitted by the machine while processing a chunk
+ * is emitted as an `error` on the stream.
+ */
+function AutomataStream(fsm, options) {
+  this._ = require('lodash');
+
+  // Copy the options so that the caller's object is left untouched
+  Transform.call(this, this._.assign({}, options, {objectMode: true}));
+
+  this._fsm = fsm;
+}
+
+util.inherits(AutomataStream, Transform);
+
+/**
+ * Pass a chunk to the machine and collect everything it returns
+ */
+AutomataStream.prototype._transform = function transform(chunk, encoding, callback) {
+  var _this = this;
+  var fsm = this._fsm;
+  var values = [];
+  var error = null;
+
+  var onReturn = function (value) {
+    if (value !== null) {
+      values.push(value);
+    }
+  };
+
+  var onError = function (err) {
+    error = error || err;
+  };
+
+  fsm.on('return', onReturn);
+  fsm.on('error', onError);
+
+  try {
+    fsm.next(chunk, function () {});
+  } catch (err) {
+    error = error || err;
+  } finally {
+    fsm.removeListener('return', onReturn);
+    fsm.removeListener('error', onError);
+  }
+
+  values.forEach(function (value) {
+    _this.push(value);
+  });
+
+  callback(error);
+};
+
+
+module.exports = AutomataStream;
@@ -1,6 +1,15 @@
 var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 var State = require('./State');
+var AutomataStream = require('./AutomataStream');
+var Validator = require('./Validator');
+var Minimizer = require('./Minimizer');
+var Serializer = require('./Serializer');
+var ManualClock = require('./ManualClock');
+var errors = require('./errors');
+var DotFormatter = require('./DotFormatter');
+var MermaidFormatter = require('./MermaidFormatter');
+var PlantUmlFormatter = require('./PlantUmlFormatter');
 
 /**
  * A
@@ -17,7 +26,18 @@ var State = require('./State');
  *     after an error or after a terminal state
  *   * `return` - Returns a value based on the accepting state's accept method.
  *     Fired whenever the state machine enters an accepting state.
+ *
+ *     The `return` and `error` events of invoked machines are emitted along
+ *     with the path of the states that invoked them, from the outermost one.
  *   * `change` - Marks a transition between states
+ *   * `exit` - Emitted for every state that is left, after its `onExit` hook
+ *   * `enter` - Emitted for every state that is entered, after its `onEnter`
+ *     hook
+ *   * `restore` - Emitted when the runtime state is restored from a snapshot
+ *   * `rewind` - Emitted when the machine is rewound to an earlier entry of its
+ *     history
+ *   * `graphchange` - Emitted whenever a state or a transition is added,
+ *     replaced or removed
  */
 function AwesomeAutomata(config) {
   var _this = this;
@@ -38,6 +58,30 @@ function AwesomeAutomata(config) {
   // Whenever the initial state is reached, reset the history
   this._resetAtRoot = config.resetAtRoot;
 
+  // Test every transition for each input and emit an error when more than one
+  // of them matches
+  this._strict = config.strict;
+
+  // What to do with an input that no transition matches: `reset` the machine
+  // (the default), `stay` in the current state, `skip` the input without
+  // emitting an error, `throw` the error or go to the state with that name
+  this._onUnmatched = config.onUnmatched;
+
+  if (typeof this._onUnmatched !== 'undefined' && (typeof this._onUnmatched !== 'string' || !this._onUnmatched)) {
+    this._throwFatalError('The onUnmatched option must be a policy or the name of a state.');
+  }
+
+  // Extended state (like counters or accumulated values) passed to every
+  // criteria and accept function.  It is replaced, never modified, by the
+  // `assign` updaters of transitions and set back on reset.
+  this._initialContext = config.context;
+  this._context = config.context;
+
+  // The regions of parallel states share the context of the machine running
+  // them (null for machines that own their context, so that a machine does not
+  // reference itself)
+  this._contextOwner = null;
+
   /**
    * States are stored in a hash for fast reference and duplicate checks
    */
@@ -51,6 +95,44 @@ function AwesomeAutomata(config) {
   this._currentState = null;
   this._previouslyVisitedStates = [];
 
+  // The previous state and the context at each entry of the history, which
+  // `rewindTo()` goes back to, and whether older entries were dropped because
+  // of the max history
+  this._checkpoints = [];
+  this._historyTruncated = false;
+
+  // Epsilon transitions are only supported by nondeterministic machines
+  this._allowsEpsilon = false;
+
+  // The machines running the regions of each parallel state, by state name
+  this._regions = {};
+
+  // Inputs given to `nextAsync()` are chained on this promise so that they are
+  // processed one at a time
+  this._asyncQueue = Promise.resolve();
+
+  // Schedules the timed transitions of the active states (see ManualClock for
+  // a clock that can be moved forward by hand)
+  this._clock = config.clock || {
+    setTimeout: function (fn, delay) {
+      return setTimeout(fn, delay);
+    },
+    clearTimeout: function (handle) {
+      clearTimeout(handle);
+    }
+  };
+
+  // The handles of the pending timers, by state name
+  this._timers = {};
+
+  // The machines invoked by the active states, by state name, along with the
+  // values they returned since they started
+  this._children = {};
+
+  // The shared Definition whose (frozen) graph this machine runs, in which
+  // case the graph cannot be changed
+  this._definition = null;
+
   // DEBUGGING
 
   this.debug = function () {}; // No-op for default debugger
@@ -76,11 +158,63 @@ function AwesomeAutomata(config) {
 
 util.inherits(AwesomeAutomata, EventEmitter);
 
+// A clock for testing timed transitions (see the `clock` option)
+AwesomeAutomata.ManualClock = ManualClock;
+
+// The classes of the errors emitted by a running machine
+AwesomeAutomata.AutomataError = errors.AutomataError;
+AwesomeAutomata.NoTransitionError = errors.NoTransitionError;
+AwesomeAutomata.DanglingTransitionError = errors.DanglingTransitionError;
+
+/**
+ * Wrap several values for an accept function or a transition action to return.
+ * Each of them is emitted as its own `return` event.
+ */
+AwesomeAutomata.emitAll = function emitAll(values) {
+  if (!(values instanceof Array)) {
+    throw new Error('[AwesomeAutomata] emitAll() must be given an array of values');
+  }
+
+  return new AwesomeAutomata.EmitAll(values);
+};
+
+// The wrapper created by `emitAll()`
+AwesomeAutomata.EmitAll = function EmitAll(values) {
+  this.values = values;
+};
+
+/**
+ * Create a machine from a declarative JSON definition (or its string), where
+ * criteria and accept functions are referenced by name from the `registry` of
+ * functions.  See Serializer for the format of the definition.
+ */
+AwesomeAutomata.fromJSON = function fromJSON(definition, registry) {
+  return new Serializer(registry).load(definition, AwesomeAutomata);
+};
+
 /**
- * Get the current status of the state machine
+ * Get the current status of the state machine.  The `path` lists the names of
+ * the active states, from the outermost compound state to the current state.
+ * When the current state is a parallel state, `regions` holds the name of the
+ * active state of each of its regions.  The `context` is the current extended
+ * state.
  */
 AwesomeAutomata.prototype.getCurrentState = function getCurrentState() {
-  return {state: this._currentState.getName(), history: this._previouslyVisitedStates};
+  var regions = this._regions[this._currentState.getName()];
+  var currentState = {
+    state: this._currentState.getName(),
+    path: this._.invoke(this._getPath(this._currentState), 'getName'),
+    history: this._previouslyVisitedStates,
+    context: this._getContext()
+  };
+
+  if (regions) {
+    currentState.regions = this._.mapValues(regions, function (region) {
+      return region.getCurrentState().state;
+    });
+  }
+
+  return currentState;
 };
 
 /**
@@ -101,11 +235,38 @@ AwesomeAutomata.prototype._throwFatalError = function throwFatalError(msg) {
 };
 
 /**
- * Standardize the error emission.  Eventually this could be a custom error class
- * vs just a plain error object.
+ * Standardize the error emission.  The error is an AutomataError (or an
+ * instance of the given subclass) with the given properties.
+ */
+AwesomeAutomata.prototype._emitError = function emitError(msg, properties, ErrorClass) {
+  this.emit('error', this._createError(msg, properties, ErrorClass));
+};
+
+/**
+ * Create an error with the library label, see `_emitError()`
+ */
+AwesomeAutomata.prototype._createError = function createError(msg, properties, ErrorClass) {
+  ErrorClass = ErrorClass || errors.AutomataError;
+
+  return new ErrorClass('[AwesomeAutomata:' + this.name + '] ' + msg, properties);
+};
+
+/**
+ * Emit an error for a transition leading to a state that does not exist
  */
-AwesomeAutomata.prototype._emitError = function emitError(msg) {
-  this.emit('error', new Error('[AwesomeAutomata:' + this.name + '] ' + msg));
+AwesomeAutomata.prototype._emitDanglingTransition = function emitDanglingTransition(from, transition, input) {
+  // The machine is broken, an edge leads to a non-existent node
+  this._emitError(
+    'The current state: "' + from.getName() + '" specified an ' +
+      'outbound transition that does not exist: "' + transition.state + '"',
+    {
+      state: from.getName(),
+      input: input,
+      history: this._previouslyVisitedStates.slice(),
+      target: transition.state
+    },
+    errors.DanglingTransitionError
+  );
 };
 
 /**
@@ -122,16 +283,48 @@ AwesomeAutomata.prototype.addStates = function addStates(states) {
 /**
  * Create a state instance and add it to the known states.  A given name can
  * only be used once per state machine.
+ *
+ * States can be nested by either listing child state configurations in
+ * `states` or by naming an already added `parent` state.  A state with child
+ * states (a compound state) names the child to enter along with it in
+ * `initial`.  The transitions of the current state are checked before the
+ * transitions of its parent states.
+ *
+ * A parallel state lists `regions`, each with a `name` and an array of
+ * `states` (one of which is initial) that are active at the same time.  Every
+ * input is offered to all of the regions before the transitions of the
+ * parallel state itself.
  */
 AwesomeAutomata.prototype.addState = function addState(stateConfig) {
+  this._checkMutable();
+
+  var _this = this;
   var state = new State(stateConfig);
+  var parent;
 
   if (this._states[state.getName()]) {
     this._throwFatalError('The state "' + state.name + '" has already been defined.');
   }
 
+  if (state.getParent()) {
+    parent = this._states[state.getParent()];
+
+    if (!parent) {
+      this._throwFatalError(
+        'The parent of the state "' + state.getName() + '" must be added ' +
+        'before it: "' + state.getParent() + '"'
+      );
+    }
+  }
+
+  this._checkTransitions(state.getName(), state.getTransitions());
+
   this._states[state.getName()] = state;
 
+  if (state.getRegions().length) {
+    this._regions[state.getName()] = this._createRegions(state, stateConfig.regions);
+  }
+
   // Check if this state is the root node (the starting point whenever the
   // machine is reset)
   if (state.isInitial()) {
@@ -142,193 +335,1697 @@ AwesomeAutomata.prototype.addState = function addState(stateConfig) {
     this._rootNode = state;
 
     // Set the current state of the machine upon initialization
-    this._currentState = this._rootNode;
+    this._currentState = this._resolveInitialState(this._rootNode);
 
     // Add a record of the state machine having visited the root node
     this._previouslyVisitedStates = [{
-      state: this._rootNode.getName(),
+      state: this._currentState.getName(),
       input: null
     }];
+    this._checkpoints = [this._checkpoint()];
+    this._historyTruncated = false;
+
+    this._startInitialTimers();
+  } else if (parent && parent === this._currentState && parent.getInitialState() === state.getName()) {
+    // The initial child of the current (compound) state was added after it
+    this._currentState = this._resolveInitialState(state);
+    this._.last(this._previouslyVisitedStates).state = this._currentState.getName();
+
+    this._startInitialTimers();
   }
 
+  this._.forEach(stateConfig.states, function (childConfig) {
+    if (childConfig.parent && childConfig.parent !== state.getName()) {
+      _this._throwFatalError(
+        'The child state "' + childConfig.name + '" of "' + state.getName() + '" ' +
+        'cannot have another parent: "' + childConfig.parent + '"'
+      );
+    }
+
+    _this.addState(_this._.assign({}, childConfig, {parent: state.getName()}));
+  });
+
+  this.emit('graphchange', {type: 'addState', state: state.getName()});
+
   return this; // Provide chainability
 };
 
 /**
- * Receive an input and update the state of the machine appropriately.  Handles
- * special cases like terminal states (which reset the machine) and accepting
- * states that
+ * Throw an exception when the graph is shared with other machines (see
+ * Definition) and cannot be changed
  */
-AwesomeAutomata.prototype.next = function next(input, callback) {
-  if (!this._currentState) {
-    this._throwFatalError('Cannot start processing data without a starting state.');
+AwesomeAutomata.prototype._checkMutable = function checkMutable() {
+  if (this._definition) {
+    this._throwFatalError('The graph of a machine created from a shared definition cannot be changed.');
   }
+};
 
-  var _this = this;
-  var currentState = this._currentState;
-  var edge = this._findNextState(input, currentState, this._previousState);
-  var nextState = edge.state;
-  var transition = edge.transition;
-  var resetValue;
-  var acceptValue;
-  var transitionInfo;
+/**
+ * Throw an exception for transitions that this kind of machine does not
+ * support
+ */
+AwesomeAutomata.prototype._checkTransitions = function checkTransitions(name, transitions) {
+  if (!this._allowsEpsilon && this._.some(transitions, State.isEpsilon)) {
+    this._throwFatalError(
+      'The state "' + name + '" has epsilon transitions, which are ' +
+      'only supported by nondeterministic machines.'
+    );
+  }
+};
 
-  // No valid transition was found out of this node
-  // The machine's state has now become invalid and must be reset
-  if (!nextState) {
-    this._emitError(
-      'Cannot find valid transition from: "' + currentState.getName() + '" ' +
-      'with input: ' + JSON.stringify(input)
+/**
+ * Replace the definition of a state with a new configuration with the same
+ * name.  The state keeps its place in the graph: it cannot become (or stop
+ * being) the root node, move to another parent or list child states, and the
+ * targets of its transitions must already exist.  The current state can be
+ * replaced (the delays of its timed transitions start over) unless it is a
+ * parallel state.
+ */
+AwesomeAutomata.prototype.replaceState = function replaceState(stateConfig) {
+  this._checkMutable();
+
+  var name = stateConfig && stateConfig.name;
+  var previous = this._getExistingState(name);
+  var state = new State(stateConfig);
+
+  if (!!state.isInitial() !== !!previous.isInitial()) {
+    this._throwFatalError('The state "' + name + '" cannot become or stop being the root node.');
+  }
+
+  if (state.getParent() !== previous.getParent()) {
+    this._throwFatalError('The state "' + name + '" cannot be moved to another parent.');
+  }
+
+  if (stateConfig.states) {
+    this._throwFatalError(
+      'The child states of "' + name + '" cannot be replaced along with it.  ' +
+      'Add, replace or remove them one at a time.'
     );
+  }
 
-    resetValue = this.reset();
-    return callback({reset: resetValue});
+  if (this._isActive(previous) && (state.getRegions().length || previous.getRegions().length)) {
+    this._throwFatalError('Cannot replace the active parallel state: "' + name + '"');
   }
 
-  transitionInfo = this._transition(input, nextState, transition); // Visit the next state
+  this._checkTargets(name, state.getTransitions());
+  this._checkTransitions(name, state.getTransitions());
 
-  // Call the accept method of the state to find the return value of this node
-  // if it exists
-  if (typeof nextState.accept === 'function') {
-    acceptValue = this._accept(
-      nextState.accept(input, this._previouslyVisitedStates.slice())
+  this._states[name] = state;
+  delete this._regions[name];
+
+  if (state.getRegions().length) {
+    this._regions[name] = this._createRegions(state, stateConfig.regions);
+  }
+
+  this._swapState(previous, state);
+
+  if (this._timers[name]) {
+    this._stopTimers(previous);
+    this._startTimers(state);
+  }
+
+  if (this._children[name]) {
+    this._stopChild(previous);
+    this._startChild(state);
+  }
+
+  this.emit('graphchange', {type: 'replaceState', state: name});
+
+  return this; // Provide chainability
+};
+
+/**
+ * Remove a state from the graph.  The root node, the active states, compound
+ * states that still have child states, the initial child state of a compound
+ * state and states that other states still have transitions to cannot be
+ * removed.
+ */
+AwesomeAutomata.prototype.removeState = function removeState(name) {
+  this._checkMutable();
+
+  var state = this._getExistingState(name);
+  var parent = this._states[state.getParent()];
+  var children = this._.filter(this._states, function (child) {
+    return child.getParent() === name;
+  });
+  var sources = this._.filter(this._states, function (source) {
+    return source !== state && this._.some(source.getTransitions(), {state: name});
+  }, this);
+
+  if (state === this._rootNode) {
+    this._throwFatalError('Cannot remove the root node: "' + name + '"');
+  }
+
+  if (this._isActive(state)) {
+    this._throwFatalError('Cannot remove the active state: "' + name + '"');
+  }
+
+  if (children.length) {
+    this._throwFatalError(
+      'Cannot remove the state "' + name + '" before its child states: ' +
+      this._.invoke(children, 'getName').map(JSON.stringify).join(', ')
     );
   }
 
-  // If this is an end state - reset the FSM
-  if (nextState.isTerminal() || (nextState.isInitial() && this._resetAtRoot)) {
-    resetValue = this.reset();
+  if (parent && parent.getInitialState() === name) {
+    this._throwFatalError(
+      'Cannot remove the state "' + name + '", which is the initial child ' +
+      'state of "' + parent.getName() + '"'
+    );
   }
 
-  // Make successive calls to next asynchronous - passes all of the emitted
-  // event information to the callback so it is possible to rely completely on
-  // the callback for making decisions
-  if (typeof callback === 'function') {
-    setImmediate(function () {
-      callback({
-        accept: acceptValue,
-        reset: resetValue,
-        currentState: _this._currentState.getName(),
-        history: _this._previouslyVisitedStates,
-        transition: transitionInfo
-      })
-    });
+  if (sources.length) {
+    this._throwFatalError(
+      'Cannot remove the state "' + name + '" before the transitions leading ' +
+      'to it from the states: ' + this._.invoke(sources, 'getName').map(JSON.stringify).join(', ')
+    );
   }
 
-  return this;
+  delete this._states[name];
+  delete this._regions[name];
+
+  this.emit('graphchange', {type: 'removeState', state: name});
+
+  return this; // Provide chainability
 };
 
 /**
- * Loops through the outbound transitions and identifies the next state using
- * the input and the next state's compare method.
- *
- * NOTE: States have a short-circuit behavior where they exit without testing
- * all possible outbound transitions.  This may lead to non-deterministic
- * behavior if more than one state matches for a given input.
- *
- * Returns the state and the associated transition
+ * Add a transition after the outgoing transitions of a state.  Its target
+ * state must already exist.  If the state is active and the transition is a
+ * timed transition, the delays of all of its timed transitions start over.
  */
-AwesomeAutomata.prototype._findNextState = function findNextState(input, currentState, previousState) {
-  var _this = this;
-  var next = {state: null, transition: null};
+AwesomeAutomata.prototype.addTransition = function addTransition(from, transitionConfig) {
+  this._checkMutable();
 
-  // Loop through the possible transitions for the current state to find the
-  // next state
-  this._.forEach(currentState.getTransitions(), function (transition) {
-    var state = _this._states[transition.state];
+  var state = this._getExistingState(from);
+  var transition;
 
-    if (!state) {
-      // The machine is broken, an edge leads to a non-existent node
-      _this._emitError(
-        'The current state: "' + currentState.getName() + '" specified an ' +
-          'outbound transition that does not exist: "' + transition.state + '"'
-      );
+  this._checkTargets(from, [transitionConfig]);
+  this._checkTransitions(from, [transitionConfig]);
 
-      return false; // Exit early from the loop without setting the next state
-    }
+  transition = state.addTransition(transitionConfig);
+  this._restartTimers(state, [transition]);
+
+  this.emit('graphchange', {type: 'addTransition', state: from, transitions: [transition]});
+
+  return this; // Provide chainability
+};
+
+/**
+ * Remove the outgoing transitions of a state matching a predicate, either a
+ * function receiving each transition or an object of properties like
+ * `{state: 'name'}`.  If the state is active and a timed transition is
+ * removed, the delays of its other timed transitions start over.
+ */
+AwesomeAutomata.prototype.removeTransition = function removeTransition(from, predicate) {
+  this._checkMutable();
+
+  var state = this._getExistingState(from);
+  var removed = state.removeTransitions(predicate);
+
+  if (removed.length) {
+    this._restartTimers(state, removed);
+    this.emit('graphchange', {type: 'removeTransition', state: from, transitions: removed});
+  }
+
+  return this; // Provide chainability
+};
+
+/**
+ * Look up a state that must exist for the graph to be changed
+ */
+AwesomeAutomata.prototype._getExistingState = function getExistingState(name) {
+  if (!this._states[name]) {
+    this._throwFatalError('The state ' + JSON.stringify(name) + ' does not exist.');
+  }
+
+  return this._states[name];
+};
 
-    // Use each transition's compare method to ascertain whether or not the value
-    // of the input matches the state
-    if (transition.criteria(input, previousState)) {
-      next.state = state;
-      next.transition = transition;
-      return false; // Short-circuit the loop
+/**
+ * Throw an exception for transitions leading to states that do not exist
+ */
+AwesomeAutomata.prototype._checkTargets = function checkTargets(name, transitions) {
+  this._.forEach(transitions, function (transition) {
+    if (!transition || !this._states[transition.state]) {
+      this._throwFatalError(
+        'The state "' + name + '" cannot have a transition to a state that ' +
+        'does not exist: ' + JSON.stringify(transition && transition.state)
+      );
     }
-  });
+  }, this);
+};
 
-  return next;
+/**
+ * Check whether a state is active: the current state or one of its parent
+ * states
+ */
+AwesomeAutomata.prototype._isActive = function isActive(state) {
+  return !!this._currentState && this._.includes(this._getPath(this._currentState), state);
 };
 
 /**
- * Update the state of the machine.
- *
- * Some transitions have an associated accept action, which should be called
- * when exercising the transition
+ * Point the runtime state of the machine to the new instance of a replaced
+ * state
  */
-AwesomeAutomata.prototype._transition = function transition(input, nextState, transition) {
-  var previousState = this._currentState;
-  var transitionInfo;
-  var transitionAction;
+AwesomeAutomata.prototype._swapState = function swapState(previous, state) {
+  if (this._rootNode === previous) {
+    this._rootNode = state;
+  }
 
-  // Check if the transition has an associated action and fire it before updating
-  // the state of the machine
-  if (typeof transition.accept === 'function') {
-    transitionAction = this._accept(
-      transition.accept(input, this._previouslyVisitedStates.slice())
-    );
+  if (this._currentState === previous) {
+    this._currentState = state;
   }
 
-  this._previousState = previousState;
-  this._currentState = nextState;
-  this._previouslyVisitedStates.push({state: nextState.getName(), input: input});
+  if (this._previousState === previous) {
+    this._previousState = state;
+  }
+};
 
-  // Remove elements from the head of the FIFO queue
-  if (this._maxHistory && this._previouslyVisitedStates.length > this._maxHistory) {
-    this._previouslyVisitedStates.shift();
+/**
+ * Schedule the timed transitions of an active state again after some of them
+ * were added or removed
+ */
+AwesomeAutomata.prototype._restartTimers = function restartTimers(state, transitions) {
+  if (this._timers[state.getName()] && this._.some(transitions, State.isTimed)) {
+    this._stopTimers(state);
+    this._startTimers(state);
   }
+};
 
-  transitionInfo = {
-    from: previousState.getName(),
-    to: nextState.getName(),
-    history: this._previouslyVisitedStates,
-    input: input,
-    action: transitionAction
-  };
+/**
+ * Create a machine for each region of a parallel state (see `_createRegion()`)
+ */
+AwesomeAutomata.prototype._createRegions = function createRegions(state, regionConfigs) {
+  var _this = this;
+  var regions = {};
 
-  this.emit('change', transitionInfo);
-  return transitionInfo;
+  this._.forEach(regionConfigs, function (regionConfig) {
+    var region = _this._createRegion(regionConfig.name);
+
+    region.addStates(regionConfig.states);
+
+    if (!region._rootNode) {
+      _this._throwFatalError(
+        'The region "' + regionConfig.name + '" of the state "' + state.getName() + '" ' +
+        'does not have an initial state.'
+      );
+    }
+
+    regions[regionConfig.name] = region;
+  });
+
+  return regions;
 };
 
 /**
- * Emit a returned object from the machine from an accepting state.  Do not emit
- * anything if the value returned was specifically undefined.
+ * Create the (empty) machine running a region of a parallel state.  The
+ * `change`, `exit` and `enter` events of the region (tagged with the name of
+ * the region) and its `return` and `error` events are emitted by this machine.
+ */
+AwesomeAutomata.prototype._createRegion = function createRegion(name) {
+  var _this = this;
+  var region = new AwesomeAutomata({
+    name: this.name + ':' + name,
+    debug: this.debug,
+    maxHistory: this._maxHistory,
+    strict: this._strict,
+    clock: this._clock
+  });
+
+  region._contextOwner = this;
+
+  this._.forEach(['change', 'exit', 'enter'], function (eventName) {
+    region.on(eventName, function (info) {
+      _this.emit(eventName, _this._.assign({region: name}, info));
+    });
+  });
+
+  region.on('return', function (value, path) {
+    _this.emit('return', value, path);
+  });
+
+  region.on('error', function (err, path) {
+    _this.emit('error', err, path);
+  });
+
+  return region;
+};
+
+/**
+ * Getter for the current context, which is owned by the machine running the
+ * regions for regions of parallel states
+ */
+AwesomeAutomata.prototype._getContext = function getContext() {
+  return (this._contextOwner || this)._context;
+};
+
+/**
+ * Replace the current context
+ */
+AwesomeAutomata.prototype._setContext = function setContext(context) {
+  (this._contextOwner || this)._context = context;
+};
+
+/**
+ * Find the states that are left and the states that are entered when moving
+ * from one state to another: the states of each path below their closest
+ * common parent state.  A state moving to itself is left and entered again.
  *
- * TODO: In the future an accepting state or transition action should be able to
- * TODO: emit multiple return objects
+ * Returns the `exited` states from the innermost one outwards and the
+ * `entered` states from the outermost one inwards.
  */
-AwesomeAutomata.prototype._accept = function accept(value) {
-  if (typeof value !== 'undefined') {
-    this.emit('return', value);
+AwesomeAutomata.prototype._getPathChanges = function getPathChanges(from, to) {
+  var fromPath = this._getPath(from);
+  var toPath = this._getPath(to);
+  var shared = 0;
+
+  while (shared < fromPath.length && fromPath[shared] === toPath[shared]) {
+    shared++;
+  }
+
+  if (from === to) {
+    shared--;
   }
 
-  return value;
+  return {exited: fromPath.slice(shared).reverse(), entered: toPath.slice(shared)};
 };
 
 /**
- * Properly resets the internal state of the machine to match the initial state
+ * Call the `onExit` hook of each state and emit an `exit` event for it.  The
+ * active states of the regions of a parallel state are left before the
+ * parallel state itself.
+ *
+ * The hooks receive `(input, info)` where the info has the name of the `state`,
+ * the names of the states the machine moves `from` and `to`, the `input` and
+ * the current `context` (and `reset: true` when the machine is reset).
  */
-AwesomeAutomata.prototype.reset = function reset() {
-  var finalState = this._currentState;
-  var history = this._previouslyVisitedStates;
+AwesomeAutomata.prototype._exitStates = function exitStates(states, info) {
+  var _this = this;
 
-  this._previousState = null;
-  this._currentState = this._rootNode;
-  this._previouslyVisitedStates = [{state: this._rootNode.getName(), input: null}];
+  this._.forEach(states, function (state) {
+    var stateInfo = _this._.assign({state: state.getName()}, info, {context: _this._getContext()});
+
+    _this._.forEach(_this._regions[state.getName()], function (region) {
+      region._exitStates(region._getPath(region._currentState).reverse(), info);
+    });
+
+    _this._stopTimers(state);
+    _this._stopChild(state);
+
+    if (typeof state.onExit === 'function') {
+      state.onExit(info.input, stateInfo);
+    }
+
+    _this.emit('exit', stateInfo);
+  });
+};
+
+/**
+ * Call the `onEnter` hook of each state and emit an `enter` event for it (see
+ * `_exitStates()`).  The regions of a parallel state start over from their
+ * initial states, which are entered after the parallel state itself.
+ */
+AwesomeAutomata.prototype._enterStates = function enterStates(states, info) {
+  var _this = this;
+
+  this._.forEach(states, function (state) {
+    var stateInfo = _this._.assign({state: state.getName()}, info, {context: _this._getContext()});
+
+    if (typeof state.onEnter === 'function') {
+      state.onEnter(info.input, stateInfo);
+    }
+
+    _this.emit('enter', stateInfo);
+    _this._startTimers(state);
+    _this._startChild(state);
+
+    _this._.forEach(_this._regions[state.getName()], function (region) {
+      region._restart();
+      region._enterStates(region._getPath(region._currentState), info);
+    });
+  });
+};
+
+/**
+ * Schedule the timed transitions of a state, unless they already are.  When a
+ * timer fires, its transition is taken just like a transition matching an
+ * input (with a `null` input).
+ */
+AwesomeAutomata.prototype._startTimers = function startTimers(state) {
+  var _this = this;
+
+  if (this._timers[state.getName()]) {
+    return;
+  }
+
+  this._timers[state.getName()] = this._.filter(state.getTransitions(), State.isTimed).map(function (transition) {
+    return _this._clock.setTimeout(function () {
+      _this._timeout(state, transition);
+    }, transition.after);
+  });
+};
+
+/**
+ * Cancel the pending timers of a state
+ */
+AwesomeAutomata.prototype._stopTimers = function stopTimers(state) {
+  var _this = this;
+
+  this._.forEach(this._timers[state.getName()], function (handle) {
+    _this._clock.clearTimeout(handle);
+  });
+
+  delete this._timers[state.getName()];
+};
+
+/**
+ * Start the machine invoked by a state, unless it already is.  A Definition
+ * creates a new machine every time, while a machine is reset.  The values it
+ * returns are collected for the done transition of the state.
+ */
+AwesomeAutomata.prototype._startChild = function startChild(state) {
+  var _this = this;
+  var name = state.getName();
+  var invoke = state.invoke;
+  var child;
+
+  if (!invoke || this._children[name]) {
+    return;
+  }
+
+  if (typeof invoke.createInstance === 'function') {
+    child = invoke.createInstance({name: this.name + ':' + name, clock: this._clock});
+  } else {
+    child = invoke;
+    child.reset();
+  }
+
+  this._children[name] = child = {machine: child, values: []};
+
+  child.listeners = {
+    return: function (value, path) {
+      child.values.push(value);
+      _this.emit('return', value, [name].concat(path || []));
+    },
+    error: function (err, path) {
+      _this.emit('error', err, [name].concat(path || []));
+    }
+  };
+
+  this._.forEach(child.listeners, function (listener, eventName) {
+    child.machine.on(eventName, listener);
+  });
+};
+
+/**
+ * Stop listening to the machine invoked by a state and cancel its timers
+ */
+AwesomeAutomata.prototype._stopChild = function stopChild(state) {
+  var child = this._children[state.getName()];
+
+  if (!child) {
+    return;
+  }
+
+  this._.forEach(child.listeners, function (listener, eventName) {
+    child.machine.removeListener(eventName, listener);
+  });
+
+  child.machine._stopAllTimers();
+  delete this._children[state.getName()];
+};
+
+/**
+ * Schedule the timed transitions of every active state (and start the
+ * machines they invoke), including the ones of the regions of a parallel state
+ */
+AwesomeAutomata.prototype._startActiveTimers = function startActiveTimers() {
+  var _this = this;
+
+  this._.forEach(this._getPath(this._currentState), function (state) {
+    _this._startTimers(state);
+    _this._startChild(state);
+
+    _this._.forEach(_this._regions[state.getName()], function (region) {
+      region._startActiveTimers();
+    });
+  });
+};
+
+/**
+ * Cancel every pending timer (and stop the invoked machines), including the
+ * ones of the regions
+ */
+AwesomeAutomata.prototype._stopAllTimers = function stopAllTimers() {
+  var _this = this;
+
+  this._.forEach(this._timers, function (handles, name) {
+    _this._stopTimers(_this._states[name]);
+  });
+
+  this._.forEach(this._children, function (child, name) {
+    _this._stopChild(_this._states[name]);
+  });
+
+  this._.forEach(this._regions, function (regions) {
+    _this._.forEach(regions, function (region) {
+      region._stopAllTimers();
+    });
+  });
+};
+
+/**
+ * Start the timers of the initial states once they have been added.  The
+ * regions of parallel states wait until the parallel state is active.
+ */
+AwesomeAutomata.prototype._startInitialTimers = function startInitialTimers() {
+  if (!this._contextOwner) {
+    this._startActiveTimers();
+  }
+};
+
+/**
+ * Take a timed transition once its delay has elapsed
+ */
+AwesomeAutomata.prototype._timeout = function timeout(state, transition) {
+  var nextState = this._states[transition.state];
+
+  if (!nextState) {
+    this._emitDanglingTransition(state, transition, null);
+    return;
+  }
+
+  this._step(null, this._resolveInitialState(nextState), transition);
+};
+
+/**
+ * List the states from the outermost compound state containing the given state
+ * down to the state itself
+ */
+AwesomeAutomata.prototype._getPath = function getPath(state) {
+  var path = [state];
+
+  while (state.getParent()) {
+    state = this._states[state.getParent()];
+    path.unshift(state);
+  }
+
+  return path;
+};
+
+/**
+ * Find the state that is actually entered when transitioning to a state, by
+ * following the initial child states of compound states
+ */
+AwesomeAutomata.prototype._resolveInitialState = function resolveInitialState(state) {
+  var child = this._states[state.getInitialState()];
+
+  // Only descend into actual children so a misconfigured graph cannot loop
+  while (child && child.getParent() === state.getName()) {
+    state = child;
+    child = this._states[state.getInitialState()];
+  }
+
+  return state;
+};
+
+/**
+ * Statically analyse the graph once all of the states have been added.  Returns
+ * a report of errors (missing root node, transitions to undefined states,
+ * non-terminal states without transitions) and warnings (unreachable states,
+ * states that cannot reach a terminal or accepting state).  See Validator.
+ *
+ * Pass `{throw: true}` to throw an exception when there are errors.
+ */
+AwesomeAutomata.prototype.validate = function validate(options) {
+  return new Validator(this).validate(options);
+};
+
+/**
+ * Look for transitions that make the machine nondeterministic.  Reports
+ * primitive criteria that are shadowed by an earlier transition with the same
+ * value, and, given a sample `alphabet` of inputs, inputs that match more than
+ * one transition of a state.  See Validator.
+ */
+AwesomeAutomata.prototype.checkDeterminism = function checkDeterminism(options) {
+  return new Validator(this).checkDeterminism(options);
+};
+
+/**
+ * Receive an input and update the state of the machine appropriately.  Handles
+ * special cases like terminal states (which reset the machine) and accepting
+ * states that return values.
+ *
+ * The outcome is passed to the callback as `(err, result)` (see `_respond()`).
+ * The machine is returned either way so that calls can be chained; use
+ * `nextAsync()` for a Promise of the outcome.
+ */
+AwesomeAutomata.prototype.next = function next(input, callback) {
+  if (!this._currentState) {
+    this._throwFatalError('Cannot start processing data without a starting state.');
+  }
+
+  var currentState = this._currentState;
+  var result = this._process(input);
+  var error = null;
+
+  // No valid transition was found out of this node, see `_recover()`
+  if (!result) {
+    error = this._createError(
+      'Cannot find valid transition from: "' + currentState.getName() + '" ' +
+      'with input: ' + JSON.stringify(input),
+      {state: currentState.getName(), input: input, history: this._previouslyVisitedStates.slice()},
+      errors.NoTransitionError
+    );
+
+    result = this._recover(input, error, typeof callback === 'function');
+
+    // Skipped inputs are not errors
+    if (this._onUnmatched === 'skip') {
+      error = null;
+    }
+  }
+
+  return this._respond(error, result, callback);
+};
+
+/**
+ * Hand the outcome of an input to the caller of `next()`.  The callback is
+ * called as `(err, result)` in a `setImmediate()` (allowing events to be
+ * handled before the next input is given).  The machine is returned for
+ * chaining.
+ */
+AwesomeAutomata.prototype._respond = function respond(error, result, callback) {
+  if (typeof callback === 'function') {
+    setImmediate(function () {
+      callback(error, result);
+    });
+  }
+
+  return this;
+};
+
+/**
+ * Handle an input that no transition matches according to the `onUnmatched`
+ * policy and return the result for the `next()` callback.  When the error is
+ * also `reported` to the caller, it is only emitted if there are `error`
+ * listeners.
+ *
+ *   * `reset` - Emit the error and reset the machine (the result has the
+ *     `reset` value)
+ *   * `stay` - Emit the error and stay in the current state
+ *   * `skip` - Stay in the current state without emitting the error
+ *   * `throw` - Throw the error
+ *   * The name of a state - Emit the error and go to that state (calling its
+ *     accept function) as if a transition without an action led there
+ */
+AwesomeAutomata.prototype._recover = function recover(input, error, reported) {
+  var policy = this._onUnmatched || 'reset';
+  var resetValue;
+  var state;
+
+  if (policy === 'throw') {
+    throw error;
+  }
+
+  if (policy !== 'skip' && (!reported || this.listeners('error').length)) {
+    this.emit('error', error);
+  }
+
+  if (policy === 'reset') {
+    resetValue = this.reset();
+    return this._.assign({reset: resetValue}, this._getUnmatchedResult());
+  }
+
+  if (policy === 'stay' || policy === 'skip') {
+    return this._getUnmatchedResult();
+  }
+
+  state = this._states[policy];
+
+  if (!state) {
+    this._throwFatalError('The onUnmatched state "' + policy + '" does not exist.');
+  }
+
+  return this._jump(input, state);
+};
+
+/**
+ * Describe the current state for the `next()` callback when an input was not
+ * matched and the machine did not move (or was reset)
+ */
+AwesomeAutomata.prototype._getUnmatchedResult = function getUnmatchedResult() {
+  return {
+    currentState: this._currentState.getName(),
+    history: this._previouslyVisitedStates
+  };
+};
+
+/**
+ * Go to a state without following any transition, see `_recover()`
+ */
+AwesomeAutomata.prototype._jump = function jump(input, state) {
+  return this._step(input, this._resolveInitialState(state), {state: state.getName()});
+};
+
+/**
+ * Offer an input to the current state: to its regions if it is a parallel
+ * state, otherwise (or if none of the regions has a matching transition) to
+ * its transitions.  Returns the result for the `next()` callback, or null when
+ * nothing matched.
+ */
+AwesomeAutomata.prototype._process = function process(input) {
+  var currentState = this._currentState;
+  var result = this._processRegions(input, currentState) || this._processInvoked(input, currentState);
+  var edge;
+
+  if (result) {
+    return result;
+  }
+
+  edge = this._findNextState(input, currentState, this._previousState);
+
+  return edge.state ? this._step(input, edge.state, edge.transition) : null;
+};
+
+/**
+ * Visit the next state, call its accept method and reset the machine if
+ * needed
+ */
+AwesomeAutomata.prototype._step = function step(input, nextState, transition) {
+  var transitionInfo = this._transition(input, nextState, transition); // Visit the next state
+  var acceptValue;
+
+  // Call the accept method of the state to find the return value of this node
+  // if it exists
+  if (typeof nextState.accept === 'function') {
+    acceptValue = this._accept(
+      nextState.accept(input, this._previouslyVisitedStates.slice(), this._getContext())
+    );
+  }
+
+  return this._finishStep(nextState, acceptValue, transitionInfo);
+};
+
+/**
+ * Offer an input to every region of a parallel state.  Returns null if the
+ * state has no regions or none of them has a matching transition, otherwise
+ * the result for the `next()` callback with the results of the regions that
+ * changed state.
+ */
+AwesomeAutomata.prototype._processRegions = function processRegions(input, state) {
+  var results = {};
+
+  this._.forEach(this._regions[state.getName()], function (region, name) {
+    var result = region._process(input);
+
+    if (result) {
+      results[name] = result;
+    }
+  });
+
+  return this._regionResult(state, results);
+};
+
+/**
+ * Forward an input to the machine invoked by a state.  Returns null if the
+ * state does not invoke a machine or the machine has no matching transition,
+ * otherwise the result for the `next()` callback with the result of the
+ * invoked machine.  Once the invoked machine resets, the done transition of the
+ * state is taken with the array of values it returned as the input.
+ */
+AwesomeAutomata.prototype._processInvoked = function processInvoked(input, state) {
+  var child = this._children[state.getName()];
+  var result = child && child.machine._process(input);
+  var done;
+
+  if (!result) {
+    return null;
+  }
+
+  done = this._getDoneTransition(state, child, result);
+
+  return this._.assign(
+    done ? this._step(done.input, done.state, done.transition) : this._invokedResult(state),
+    {invoked: result}
+  );
+};
+
+/**
+ * Find the done transition to take once the machine invoked by a state has
+ * reset, along with its input (the values the machine returned).  Returns null
+ * if the machine did not reset or the state has no done transition.
+ */
+AwesomeAutomata.prototype._getDoneTransition = function getDoneTransition(state, child, result) {
+  var values = child.values;
+  var transition;
+
+  if (!result.reset) {
+    return null;
+  }
+
+  child.values = [];
+  transition = this._.find(state.getTransitions(), State.isDone);
+
+  if (!transition) {
+    return null;
+  }
+
+  if (!this._states[transition.state]) {
+    this._emitDanglingTransition(state, transition, values);
+    return null;
+  }
+
+  return {
+    state: this._resolveInitialState(this._states[transition.state]),
+    transition: transition,
+    input: values
+  };
+};
+
+/**
+ * Describe an input handled by the machine invoked by a state for the `next()`
+ * callback
+ */
+AwesomeAutomata.prototype._invokedResult = function invokedResult(state) {
+  return {
+    currentState: state.getName(),
+    history: this._previouslyVisitedStates
+  };
+};
+
+/**
+ * Describe the inputs handled by the regions of a parallel state for the
+ * `next()` callback
+ */
+AwesomeAutomata.prototype._regionResult = function regionResult(state, results) {
+  if (this._.isEmpty(results)) {
+    return null;
+  }
+
+  return {
+    currentState: state.getName(),
+    history: this._previouslyVisitedStates,
+    regions: results
+  };
+};
+
+/**
+ * The same as `next()` except that criteria functions, transition actions and
+ * state accept functions may return Promises, which are waited on in that
+ * order.  Returns a Promise for the same result object that `next()` passes to
+ * its callback, rejected just like the Promise returned by `next()`.
+ *
+ * Calls are queued so that inputs are still processed one at a time and in the
+ * order they were given, even if the caller does not wait for the previous
+ * input to be processed.  Mixing `next()` calls into a queue of pending
+ * `nextAsync()` calls is not supported.
+ */
+AwesomeAutomata.prototype.nextAsync = function nextAsync(input) {
+  var _this = this;
+  var step = this._asyncQueue.then(function () {
+    return _this._nextAsync(input);
+  });
+
+  // A failed input should not prevent the following inputs from being processed
+  this._asyncQueue = step.catch(function () {});
+
+  return step;
+};
+
+/**
+ * Process a single input for `nextAsync()` once all previous inputs are done
+ */
+AwesomeAutomata.prototype._nextAsync = function nextAsync(input) {
+  if (!this._currentState) {
+    this._throwFatalError('Cannot start processing data without a starting state.');
+  }
+
+  var _this = this;
+  var currentState = this._currentState;
+
+  return this._processAsync(input).then(function (result) {
+    var error;
+
+    if (result) {
+      return result;
+    }
+
+    // No valid transition was found out of this node, the Promise is rejected
+    // once the policy has been applied (see `next()`)
+    error = _this._createError(
+      'Cannot find valid transition from: "' + currentState.getName() + '" ' +
+      'with input: ' + JSON.stringify(input),
+      {state: currentState.getName(), input: input, history: _this._previouslyVisitedStates.slice()},
+      errors.NoTransitionError
+    );
+
+    result = _this._recover(input, error, true);
+
+    // Skipped inputs are not errors
+    if (_this._onUnmatched === 'skip') {
+      return result;
+    }
+
+    throw error;
+  });
+};
+
+/**
+ * The same as `_process()` except that it returns a Promise (see
+ * `nextAsync()`)
+ */
+AwesomeAutomata.prototype._processAsync = function processAsync(input) {
+  var _this = this;
+  var currentState = this._currentState;
+
+  return this._processRegionsAsync(input, currentState).then(function (result) {
+    return result || _this._processInvokedAsync(input, currentState);
+  }).then(function (result) {
+    if (result) {
+      return result;
+    }
+
+    return _this._findNextStateAsync(input, currentState, _this._previousState).then(function (edge) {
+      return edge.state ? _this._stepAsync(input, edge.state, edge.transition) : null;
+    });
+  });
+};
+
+/**
+ * The same as `_step()` except that the transition action and the accept
+ * method may return Promises.  When the transition action fails, the machine
+ * stays in its state: the context is set back and the timers (and invoked
+ * machines) of the states that were left start over.
+ */
+AwesomeAutomata.prototype._stepAsync = function stepAsync(input, nextState, transition) {
+  var _this = this;
+  var changes = this._getPathChanges(this._currentState, nextState);
+  var info = {from: this._currentState.getName(), to: nextState.getName(), input: input};
+  var context = this._getContext();
+  var transitionInfo;
+
+  this._exitStates(changes.exited, info);
+  this._assign(input, transition);
+
+  return new Promise(function (resolve) {
+    resolve(
+      typeof transition.accept === 'function' ?
+        transition.accept(input, _this._previouslyVisitedStates.slice(), _this._getContext()) :
+        undefined
+    );
+  }).catch(function (err) {
+    _this._setContext(context);
+    _this._startActiveTimers();
+
+    throw err;
+  }).then(function (transitionAction) {
+    transitionInfo = _this._changeState(input, nextState, _this._accept(transitionAction));
+    _this._enterStates(changes.entered, info);
+
+    if (typeof nextState.accept === 'function') {
+      return nextState.accept(input, _this._previouslyVisitedStates.slice(), _this._getContext());
+    }
+  }).then(function (acceptValue) {
+    return _this._finishStep(nextState, _this._accept(acceptValue), transitionInfo);
+  });
+};
+
+/**
+ * The same as `_processRegions()` except that it returns a Promise.  The
+ * regions are offered the input one after the other.
+ */
+AwesomeAutomata.prototype._processRegionsAsync = function processRegionsAsync(input, state) {
+  var _this = this;
+  var results = {};
+
+  return this._.reduce(this._regions[state.getName()], function (previous, region, name) {
+    return previous.then(function () {
+      return region._processAsync(input);
+    }).then(function (result) {
+      if (result) {
+        results[name] = result;
+      }
+    });
+  }, Promise.resolve()).then(function () {
+    return _this._regionResult(state, results);
+  });
+};
+
+/**
+ * The same as `_processInvoked()` except that it returns a Promise
+ */
+AwesomeAutomata.prototype._processInvokedAsync = function processInvokedAsync(input, state) {
+  var _this = this;
+  var child = this._children[state.getName()];
+
+  if (!child) {
+    return Promise.resolve(null);
+  }
+
+  return child.machine._processAsync(input).then(function (result) {
+    var done;
+
+    if (!result) {
+      return null;
+    }
+
+    done = _this._getDoneTransition(state, child, result);
+
+    return Promise.resolve(
+      done ? _this._stepAsync(done.input, done.state, done.transition) : _this._invokedResult(state)
+    ).then(function (stepResult) {
+      return _this._.assign(stepResult, {invoked: result});
+    });
+  });
+};
+
+/**
+ * Reset the machine if the state that was just entered is an end state and
+ * describe everything that happened for the `next()` callback
+ */
+AwesomeAutomata.prototype._finishStep = function finishStep(nextState, acceptValue, transitionInfo) {
+  var resetValue;
+
+  // If this is an end state - reset the FSM
+  if (
+    nextState.isTerminal() ||
+    (nextState === this._resolveInitialState(this._rootNode) && this._resetAtRoot)
+  ) {
+    resetValue = this.reset();
+  }
+
+  return {
+    accept: acceptValue,
+    reset: resetValue,
+    currentState: this._currentState.getName(),
+    history: this._previouslyVisitedStates,
+    transition: transitionInfo
+  };
+};
+
+/**
+ * Loops through the outbound transitions and identifies the next state using
+ * the input and the next state's compare method.  The transitions of the
+ * current state are checked first, then the ones of its parent states from the
+ * innermost one outwards.  Transitions to compound states lead to their
+ * initial child state.
+ *
+ * NOTE: States have a short-circuit behavior where they exit without testing
+ * all possible outbound transitions.  This may lead to non-deterministic
+ * behavior if more than one state matches for a given input.  In `strict` mode
+ * all of the transitions of a state are tested and an error is emitted if more
+ * than one matches (the first matching transition is still used).
+ *
+ * Outside of `strict` mode, the transitions with primitive criteria are looked
+ * up by value (see `State.findTransition()`), so transitions to non-existent
+ * states are only reported when they match the input.
+ *
+ * Returns the state and the associated transition
+ */
+AwesomeAutomata.prototype._findNextState = function findNextState(input, currentState, previousState) {
+  var _this = this;
+  var context = this._getContext();
+  var next = {state: null, transition: null};
+  var broken = false;
+
+  this._.forEachRight(this._getPath(currentState), function (from) {
+    var matches = [];
+    var match;
+
+    if (!_this._strict) {
+      match = from.findTransition(input, previousState, context);
+
+      if (match && !_this._states[match.state]) {
+        _this._emitDanglingTransition(from, match, input);
+        broken = true;
+      } else if (match) {
+        next.state = _this._resolveInitialState(_this._states[match.state]);
+        next.transition = match;
+      }
+
+      // Only fall back to the parent state when nothing matched
+      return !next.state && !broken;
+    }
+
+    // In strict mode, loop through all of the transitions for the state to
+    // find the next state and any other matching transition
+    _this._.forEach(from.getTransitions(), function (transition) {
+      var state = _this._states[transition.state];
+
+      // Timed and done transitions do not match inputs
+      if (State.isTimed(transition) || State.isDone(transition)) {
+        return;
+      }
+
+      if (!state) {
+        _this._emitDanglingTransition(from, transition, input);
+        broken = true;
+        return false; // Exit early from the loop without setting the next state
+      }
+
+      // Use each transition's compare method to ascertain whether or not the value
+      // of the input matches the state
+      if (transition.criteria(input, previousState, context)) {
+        matches.push(transition);
+
+        if (!next.state) {
+          next.state = _this._resolveInitialState(state);
+          next.transition = transition;
+        }
+      }
+    });
+
+    _this._reportNondeterminism(input, from, matches);
+
+    // Only fall back to the parent state when nothing matched
+    return !next.state && !broken;
+  });
+
+  return next;
+};
+
+/**
+ * The same as `_findNextState()` except that criteria functions may return a
+ * Promise.  Transitions are still checked one at a time in order, so a
+ * criteria function is only called once all previous ones did not match
+ * (unless the machine is in `strict` mode).
+ *
+ * Returns a Promise for the state and the associated transition
+ */
+AwesomeAutomata.prototype._findNextStateAsync = function findNextStateAsync(input, currentState, previousState) {
+  var _this = this;
+  var context = this._getContext();
+  var path = this._getPath(currentState);
+  var next = {state: null, transition: null};
+  var matches = [];
+
+  var check = function (level, index) {
+    var from = path[level];
+    var transition = from && (from.getTransitions() || [])[index];
+    var state = transition && _this._states[transition.state];
+
+    // Every state of the path has been checked
+    if (!from) {
+      return Promise.resolve(next);
+    }
+
+    if (!transition) {
+      _this._reportNondeterminism(input, from, matches);
+      matches = [];
+
+      // Only fall back to the parent state when nothing matched
+      return next.state ? Promise.resolve(next) : check(level - 1, 0);
+    }
+
+    // Timed and done transitions do not match inputs
+    if (State.isTimed(transition) || State.isDone(transition)) {
+      return check(level, index + 1);
+    }
+
+    if (!state) {
+      _this._emitDanglingTransition(from, transition, input);
+      return Promise.resolve(next);
+    }
+
+    return Promise.resolve(transition.criteria(input, previousState, context)).then(function (matched) {
+      if (matched) {
+        matches.push(transition);
+
+        if (!next.state) {
+          next.state = _this._resolveInitialState(state);
+          next.transition = transition;
+        }
+
+        if (!_this._strict) {
+          return next;
+        }
+      }
+
+      return check(level, index + 1);
+    });
+  };
+
+  return check(path.length - 1, 0);
+};
+
+/**
+ * Emit an error when more than one transition matched an input in `strict`
+ * mode
+ */
+AwesomeAutomata.prototype._reportNondeterminism = function reportNondeterminism(input, currentState, matches) {
+  if (matches.length > 1) {
+    this._emitError(
+      'Nondeterministic transition from: "' + currentState.getName() + '" ' +
+      'with input: ' + JSON.stringify(input) + ' matches the states: ' +
+      this._.pluck(matches, 'state').map(JSON.stringify).join(', '),
+      {state: currentState.getName(), input: input, history: this._previouslyVisitedStates.slice()}
+    );
+  }
+};
+
+/**
+ * Update the state of the machine.
+ *
+ * Some transitions have an associated accept action, which should be called
+ * when exercising the transition.  The order is:
+ *
+ *   1. The `onExit` hooks of the states that are left (innermost first)
+ *   2. The `assign` updaters of the transition
+ *   3. The transition action
+ *   4. The state of the machine is updated and the `change` event is emitted
+ *   5. The `onEnter` hooks of the states that are entered (outermost first)
+ */
+AwesomeAutomata.prototype._transition = function transition(input, nextState, transition) {
+  var changes = this._getPathChanges(this._currentState, nextState);
+  var info = {from: this._currentState.getName(), to: nextState.getName(), input: input};
+  var transitionAction;
+  var transitionInfo;
+
+  this._exitStates(changes.exited, info);
+  this._assign(input, transition);
+
+  // Check if the transition has an associated action and fire it before updating
+  // the state of the machine
+  if (typeof transition.accept === 'function') {
+    transitionAction = this._accept(
+      transition.accept(input, this._previouslyVisitedStates.slice(), this._getContext())
+    );
+  }
+
+  transitionInfo = this._changeState(input, nextState, transitionAction);
+  this._enterStates(changes.entered, info);
+
+  return transitionInfo;
+};
+
+/**
+ * Produce the next context with the `assign` updaters of a transition, either a
+ * function returning the next context or an object of the properties to
+ * update (functions returning the new value, or the value itself).  Updaters
+ * receive `(context, input)`.  The previous context is never modified.
+ */
+AwesomeAutomata.prototype._assign = function assign(input, transition) {
+  var context = this._getContext();
+  var updates;
+
+  if (typeof transition.assign === 'function') {
+    this._setContext(transition.assign(context, input));
+  } else if (transition.assign) {
+    updates = this._.mapValues(transition.assign, function (updater) {
+      return typeof updater === 'function' ? updater(context, input) : updater;
+    });
+
+    this._setContext(this._.assign({}, context, updates));
+  }
+};
+
+/**
+ * Move the machine to the next state, record it in the history and emit the
+ * `change` event once the transition action (if any) has been handled.
+ */
+AwesomeAutomata.prototype._changeState = function changeState(input, nextState, transitionAction) {
+  var previousState = this._currentState;
+  var transitionInfo;
+
+  this._previousState = previousState;
+  this._currentState = nextState;
+  this._previouslyVisitedStates.push({state: nextState.getName(), input: input});
+  this._checkpoints.push(this._checkpoint());
+
+  // Remove elements from the head of the FIFO queue
+  if (this._maxHistory && this._previouslyVisitedStates.length > this._maxHistory) {
+    this._previouslyVisitedStates.shift();
+    this._checkpoints.shift();
+    this._historyTruncated = true;
+  }
+
+  transitionInfo = {
+    from: previousState.getName(),
+    to: nextState.getName(),
+    history: this._previouslyVisitedStates,
+    input: input,
+    action: transitionAction,
+    context: this._getContext()
+  };
+
+  this.emit('change', transitionInfo);
+  return transitionInfo;
+};
+
+/**
+ * Emit a returned object from the machine from an accepting state.  Do not emit
+ * anything if the value returned was specifically undefined.
+ *
+ * Accepting states and transition actions can return several objects, either
+ * wrapped with `AwesomeAutomata.emitAll()` or yielded by a generator function.
+ * Each of them is emitted as its own `return` event and the array of emitted
+ * values is returned.
+ */
+AwesomeAutomata.prototype._accept = function accept(value) {
+  var _this = this;
+  var values = [];
+  var emit = function (item) {
+    if (typeof item !== 'undefined') {
+      values.push(item);
+      _this.emit('return', item);
+    }
+  };
+
+  if (value instanceof AwesomeAutomata.EmitAll) {
+    this._.forEach(value.values, emit);
+  } else if (this._isGenerator(value)) {
+    for (var step = value.next(); !step.done; step = value.next()) {
+      emit(step.value);
+    }
+  } else {
+    emit(value);
+    return value;
+  }
+
+  return values;
+};
+
+/**
+ * Check whether a value returned by an accept function holds several objects
+ * (see `_accept()`)
+ */
+AwesomeAutomata.prototype._isMultiple = function isMultiple(value) {
+  return value instanceof AwesomeAutomata.EmitAll || this._isGenerator(value);
+};
+
+/**
+ * Check whether a value is the iterator returned by a generator function
+ */
+AwesomeAutomata.prototype._isGenerator = function isGenerator(value) {
+  return (
+    !!value &&
+    typeof value.next === 'function' &&
+    typeof value[Symbol.iterator] === 'function'
+  );
+};
+
+/**
+ * Properly resets the internal state of the machine to match the initial state.
+ * The `onExit` hooks of the active states and the `onEnter` hooks of the
+ * initial states are called (with `reset: true` in their info).
+ */
+AwesomeAutomata.prototype.reset = function reset() {
+  var finalState = this._currentState;
+  var history = this._previouslyVisitedStates;
+  var context = this._getContext();
+  var info = {
+    from: finalState.getName(),
+    to: this._resolveInitialState(this._rootNode).getName(),
+    input: null,
+    reset: true
+  };
+
+  this._exitStates(this._getPath(finalState).reverse(), info);
+  this._restart();
+  this._enterStates(this._getPath(this._currentState), info);
+
+  var resetValue = {finalState: finalState.getName(), history: history, context: context};
+  this.emit('reset', resetValue);
+  return resetValue;
+};
+
+/**
+ * Set the runtime state of the machine back to the initial state without
+ * calling any hooks or emitting any events
+ */
+AwesomeAutomata.prototype._restart = function restart() {
+  this._previousState = null;
+  this._currentState = this._resolveInitialState(this._rootNode);
+  this._previouslyVisitedStates = [{state: this._currentState.getName(), input: null}];
+
+  // The regions of a parallel state do not reset the shared context when the
+  // parallel state is entered
+  if (!this._contextOwner) {
+    this._context = this._initialContext;
+  }
+
+  this._checkpoints = [this._checkpoint()];
+  this._historyTruncated = false;
+};
+
+/**
+ * Create a new machine where equivalent states are merged, for machines whose
+ * transitions all use primitive criteria.  Returns `{automata, merged,
+ * removed}` with the new machine, the groups of state names that were merged
+ * and the unreachable states that were dropped.  See Minimizer.
+ */
+AwesomeAutomata.prototype.minimize = function minimize() {
+  return new Minimizer(this).minimize();
+};
+
+/**
+ * Create an object-mode Transform stream that passes written chunks to
+ * `next()` and outputs the values returned by accepting states and transition
+ * actions.  The options are passed on to the stream constructor.
+ */
+AwesomeAutomata.prototype.createStream = function createStream(options) {
+  return new AutomataStream(this, options);
+};
+
+/**
+ * Capture the runtime state of the machine as a JSON-serialisable object so it
+ * can be restored later (for example after a process restart) with
+ * `restore()`.  The inputs stored in the history must be serialisable for the
+ * snapshot to be.
+ */
+AwesomeAutomata.prototype.snapshot = function snapshot() {
+  if (!this._currentState) {
+    this._throwFatalError('Cannot snapshot a machine without a starting state.');
+  }
+
+  var regions = this._regions[this._currentState.getName()];
+  var snapshot = {
+    name: this.name,
+    state: this._currentState.getName(),
+    previousState: this._previousState ? this._previousState.getName() : null,
+    history: this._copyHistory(this._previouslyVisitedStates),
+    context: this._getContext()
+  };
+
+  // Parallel states also capture the runtime state of their regions
+  if (regions) {
+    snapshot.regions = this._.mapValues(regions, function (region) {
+      return region.snapshot();
+    });
+  }
+
+  return snapshot;
+};
+
+/**
+ * Rehydrate the runtime state of the machine from a `snapshot()`, against the
+ * same state definitions.  Throws if the snapshot was taken from a machine with
+ * a different name or references states that do not exist.  Emits a `restore`
+ * event.  The timers of the timed transitions of the active states start over.
+ */
+AwesomeAutomata.prototype.restore = function restore(snapshot) {
+  var _this = this;
+
+  if (!snapshot || typeof snapshot.state !== 'string' || !(snapshot.history instanceof Array)) {
+    this._throwFatalError('Cannot restore an invalid snapshot.');
+  }
+
+  if (snapshot.name !== this.name) {
+    this._throwFatalError(
+      'Cannot restore a snapshot of the machine: "' + snapshot.name + '".'
+    );
+  }
+
+  var names = [snapshot.state].concat(
+    snapshot.previousState === null ? [] : [snapshot.previousState],
+    this._.pluck(snapshot.history, 'state')
+  );
+
+  this._.forEach(names, function (name) {
+    if (!_this._states[name]) {
+      _this._throwFatalError(
+        'Cannot restore the snapshot, the state: "' + name + '" does not exist.'
+      );
+    }
+  });
+
+  this._.forEach(snapshot.regions, function (regionSnapshot, name) {
+    if (!(_this._regions[snapshot.state] || {})[name]) {
+      _this._throwFatalError(
+        'Cannot restore the snapshot, the state: "' + snapshot.state + '" ' +
+        'does not have the region: "' + name + '"'
+      );
+    }
+  });
+
+  this._stopAllTimers();
+
+  this._.forEach(snapshot.regions, function (regionSnapshot, name) {
+    _this._regions[snapshot.state][name].restore(regionSnapshot);
+  });
+
+  this._currentState = this._states[snapshot.state];
+  this._previousState = snapshot.previousState === null ?
+    null : this._states[snapshot.previousState];
+  this._previouslyVisitedStates = this._copyHistory(snapshot.history);
+  this._setContext(snapshot.context);
+  this._startActiveTimers();
+
+  // The entries before the snapshot was taken cannot be rewound to
+  this._checkpoints = this._previouslyVisitedStates.map(function () {
+    return null;
+  });
+
+  if (this._checkpoints.length) {
+    this._checkpoints[this._checkpoints.length - 1] = this._checkpoint();
+  }
+  this._historyTruncated = false;
+
+  this.emit('restore', this.getCurrentState());
+  return this;
+};
+
+/**
+ * Copy the entries of a history so that a snapshot does not share them with
+ * the running machine
+ */
+AwesomeAutomata.prototype._copyHistory = function copyHistory(history) {
+  var _ = this._;
+
+  return _.map(history, function (entry) {
+    return _.clone(entry);
+  });
+};
+
+/**
+ * Go back `steps` entries (one by default) in the history, see `rewindTo()`
+ */
+AwesomeAutomata.prototype.rewind = function rewind(steps) {
+  steps = typeof steps === 'undefined' ? 1 : steps;
+
+  if (typeof steps !== 'number' || steps < 0 || steps % 1 !== 0) {
+    this._throwFatalError('Cannot rewind by ' + JSON.stringify(steps) + ' steps.');
+  }
+
+  return this.rewindTo(this._previouslyVisitedStates.length - 1 - steps);
+};
+
+/**
+ * Go back to an entry of the history (by index) as if the inputs that
+ * followed it had never been given: the current and previous states and the
+ * context are set back to what they were and the later entries are removed.
+ * No hooks are called.  The timed transitions of the active states start over,
+ * as do the regions of a parallel state and invoked machines.  Emits a
+ * `rewind` event with the current state and the `undone` entries.
+ *
+ * Throws when going back past the entries dropped because of the max history
+ * or past a restored snapshot, or to a state that was removed since.
+ */
+AwesomeAutomata.prototype.rewindTo = function rewindTo(index) {
+  var _this = this;
+  var history = this._previouslyVisitedStates;
+  var checkpoint;
+  var state;
+  var undone;
+
+  if (typeof index !== 'number' || index % 1 !== 0 || index >= history.length) {
+    this._throwFatalError('Cannot rewind to the history entry: ' + JSON.stringify(index));
+  }
+
+  if (index < 0) {
+    this._throwFatalError(
+      'Cannot rewind past the start of the history' +
+      (this._historyTruncated ? ', the older entries were dropped because of the max history.' : '.')
+    );
+  }
+
+  checkpoint = this._checkpoints[index];
+  state = this._states[history[index].state];
+
+  if (!checkpoint) {
+    this._throwFatalError('Cannot rewind past the snapshot that was restored.');
+  }
+
+  this._.forEach([history[index].state, checkpoint.previousState], function (name) {
+    if (name !== null && !_this._states[name]) {
+      _this._throwFatalError('Cannot rewind, the state: "' + name + '" does not exist anymore.');
+    }
+  });
+
+  this._stopAllTimers();
+
+  this._currentState = state;
+  this._previousState = checkpoint.previousState === null ? null : this._states[checkpoint.previousState];
+  this._setContext(checkpoint.context);
+
+  undone = history.splice(index + 1);
+  this._checkpoints.splice(index + 1);
+
+  this._.forEach(this._regions[state.getName()], function (region) {
+    region._restart();
+  });
+
+  this._startActiveTimers();
+
+  this.emit('rewind', this._.assign({undone: undone}, this.getCurrentState()));
+  return this; // Provide chainability
+};
+
+/**
+ * Capture what `rewindTo()` needs to go back to the current entry of the
+ * history
+ */
+AwesomeAutomata.prototype._checkpoint = function checkpoint() {
+  return {
+    previousState: this._previousState ? this._previousState.getName() : null,
+    context: this._getContext()
+  };
+};
+
+/**
+ * Write the machine back out as a declarative definition that can be loaded
+ * with `AwesomeAutomata.fromJSON()`.  Functions are referenced by their name in
+ * the `registry` or, if they are not registered, by the name they were declared
+ * with.
+ *
+ * This is deliberately not named `toJSON()`: `JSON.stringify()` would call it
+ * for any object holding a machine, and it throws for anonymous functions.
+ */
+AwesomeAutomata.prototype.toDefinition = function toDefinition(registry) {
+  return new Serializer(registry).dump(this);
+};
+
+/**
+ * Create a DOT language digraph of the machine's states and transitions, which
+ * can be rendered with GraphViz.  See DotFormatter for the available options.
+ */
+AwesomeAutomata.prototype.toDot = function toDot(options) {
+  return new DotFormatter(this, options).format();
+};
+
+/**
+ * Create a Mermaid `stateDiagram-v2` diagram of the machine's states and
+ * transitions
+ */
+AwesomeAutomata.prototype.toMermaid = function toMermaid(options) {
+  return new MermaidFormatter(this, options).format();
+};
+
+/**
+ * Create a PlantUML state diagram of the machine's states and transitions
+ */
+AwesomeAutomata.prototype.toPlantUml = function toPlantUml(options) {
+  return new PlantUmlFormatter(this, options).format();
+};
 
-  var resetValue = {finalState: finalState.getName(), history: history};
-  this.emit('reset', resetValue);
-  return resetValue;
-};
 
+module.exports = AwesomeAutomata;
 
-module.exports = AwesomeAutomata;
\ No newline at end of file
+// Attach themselves as `AwesomeAutomata.NondeterministicAutomata`,
+// `AwesomeAutomata.Lexer` and `AwesomeAutomata.Definition` (required last
+// because they depend on this class)
+require('./NondeterministicAutomata');
+require('./Lexer');
+require('./Definition');
\ No newline at end of file
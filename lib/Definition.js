@@ -0,0 +1,155 @@
+var AwesomeAutomata = require('./AwesomeAutomata');
+
+/**
+ * A machine definition compiled once and shared by any number of machines, for
+ * example one per user session of a server.  The states are created and
+ * validated once and then frozen, so every machine created with
+ * `createInstance()` only holds its runtime state (the current and previous
+ * states, the history, the context, the timers and the event listeners).
+ *
+ * The configuration holds the machine options and the array of state
+ * configurations:
+ *
+ *   var definition = new Definition({
+ *     name: 'checkout',
+ *     maxHistory: 10,
+ *     states: [
+ *       {name: 'cart', isInitial: true, outgoingTransitions: [...]},
+ *       ...
+ *     ]
+ *   });
+ *
+ *   var fsm = definition.createInstance({context: {userId: id}});
+ *
+ * Nondeterministic machines are defined by passing their constructor as the
+ * second argument.  The graph of the machines created from a definition cannot
+ * be changed.  Its states can only invoke other definitions, so that every
+ * machine invokes machines of its own.
+ */
+function Definition(config, Automata) {
+  config = config || {};
+
+  this._ = require('lodash');
+
+  this._Automata = Automata || AwesomeAutomata;
+
+  // The machine options used by default for every instance
+  this._options = this._.omit(config, 'states');
+
+  this._checkInvoked(config.states);
+
+  // A machine holding the graph, which is never given any input and never
+  // runs the timers (or the invoked machines) of its initial states
+  this._template = new this._Automata(this._options);
+  this._template.addStates(config.states || []);
+  this._template._stopAllTimers();
+
+  if (!this._template._rootNode) {
+    this._template._throwFatalError('A definition must have an initial state.');
+  }
+
+  this._freeze(this._template);
+}
+
+/**
+ * Ensure that the states (including nested states and the states of regions)
+ * do not invoke a machine, which would be shared by every machine created
+ * from the definition
+ */
+Definition.prototype._checkInvoked = function checkInvoked(states) {
+  var _ = this._;
+  var _this = this;
+
+  _.forEach(states, function (config) {
+    if (config && config.invoke && typeof config.invoke.createInstance !== 'function') {
+      throw new Error(
+        '[AwesomeAutomata:' + _this._options.name + '] ' +
+        'The state "' + config.name + '" of a definition can only invoke another definition.'
+      );
+    }
+
+    _this._checkInvoked(config && config.states);
+
+    _.forEach(config && config.regions, function (region) {
+      _this._checkInvoked(region && region.states);
+    });
+  });
+};
+
+/**
+ * Freeze the states (and their transitions) of a machine and of the machines
+ * running the regions of its parallel states, and prevent any change to their
+ * graphs
+ */
+Definition.prototype._freeze = function freeze(template) {
+  var _ = this._;
+  var _this = this;
+
+  template._definition = this;
+
+  _.forEach(template._states, function (state) {
+    _.forEach(state.getTransitions(), Object.freeze);
+    Object.freeze(state.getTransitions());
+    Object.freeze(state);
+  });
+
+  _.forEach(template._regions, function (regions) {
+    _.forEach(regions, function (region) {
+      _this._freeze(region);
+    });
+  });
+};
+
+/**
+ * Create a machine running the shared graph.  The options override the ones
+ * of the definition (like the `name`, the initial `context` or the `clock`).
+ */
+Definition.prototype.createInstance = function createInstance(options) {
+  var fsm = new this._Automata(this._.assign({}, this._options, options));
+
+  this._share(this._template, fsm);
+  fsm._startInitialTimers();
+
+  return fsm;
+};
+
+/**
+ * Point a new machine (and the machines running its regions) to the graph of
+ * a template and set it to its initial state
+ */
+Definition.prototype._share = function share(template, fsm) {
+  var _this = this;
+
+  fsm._definition = this;
+  fsm._states = template._states;
+  fsm._rootNode = template._rootNode;
+
+  fsm._regions = this._.mapValues(template._regions, function (regions) {
+    return _this._.mapValues(regions, function (region, name) {
+      var instance = fsm._createRegion(name);
+
+      _this._share(region, instance);
+      return instance;
+    });
+  });
+
+  fsm._restart();
+};
+
+/**
+ * Getter for a (frozen) State instance by name
+ */
+Definition.prototype.getState = function getState(name) {
+  return this._template.getState(name);
+};
+
+/**
+ * Statically analyse the shared graph (see `AwesomeAutomata.validate()`)
+ */
+Definition.prototype.validate = function validate(options) {
+  return this._template.validate(options);
+};
+
+AwesomeAutomata.Definition = Definition;
+
+module.exports = Definition;
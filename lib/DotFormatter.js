@@ -0,0 +1,93 @@
+var util = require('util');
+var Formatter = require('./Formatter');
+
+/**
+ * Creates a DOT language digraph from an AwesomeAutomata graph that can be
+ * rendered with GraphViz.
+ *
+ * Initial, terminal and accepting states are drawn with distinct shapes (see
+ * `shapes` below, which can be overridden via `options.shapes`) and edges are
+ * labelled with their criteria.  Transitions with an accept action are drawn
+ * in bold.
+ */
+function DotFormatter(fsm, options) {
+  Formatter.call(this, fsm, options);
+
+  this._shapes = this._.extend({
+    state: 'ellipse',
+    initial: 'box',
+    terminal: 'doublecircle',
+    accepting: 'doubleoctagon'
+  }, this._options.shapes);
+}
+
+util.inherits(DotFormatter, Formatter);
+
+/**
+ * Produce the DOT source for the whole graph
+ */
+DotFormatter.prototype.format = function format() {
+  var _this = this;
+  var states = this._getStates();
+  var lines = [];
+
+  lines.push('digraph ' + this._quote(this._fsm.name || 'AwesomeAutomata') + ' {');
+  lines.push('  rankdir=LR;');
+
+  // Declare the nodes first so that their shapes apply
+  this._.forEach(states, function (state) {
+    lines.push(
+      '  ' + _this._quote(state.getName()) +
+      ' [shape=' + _this._getShape(state) + '];'
+    );
+  });
+
+  this._.forEach(states, function (state) {
+    _this._.forEach(state.getTransitions(), function (transition) {
+      var attributes = 'label=' + _this._quote(_this._getTransitionLabel(transition));
+
+      if (typeof transition.accept === 'function') {
+        attributes += ', style=bold';
+      }
+
+      lines.push(
+        '  ' + _this._quote(state.getName()) + ' -> ' +
+        _this._quote(transition.state) + ' [' + attributes + '];'
+      );
+    });
+  });
+
+  lines.push('}');
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Pick the node shape for a state.  A state that is both terminal and
+ * accepting is drawn as a terminal state.
+ */
+DotFormatter.prototype._getShape = function getShape(state) {
+  if (state.isInitial()) {
+    return this._shapes.initial;
+  }
+
+  if (state.isTerminal()) {
+    return this._shapes.terminal;
+  }
+
+  if (typeof state.accept === 'function') {
+    return this._shapes.accepting;
+  }
+
+  return this._shapes.state;
+};
+
+/**
+ * Create a DOT quoted string identifier
+ */
+DotFormatter.prototype._quote = function quote(value) {
+  return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+};
+
+
+module.exports = DotFormatter;
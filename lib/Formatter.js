@@ -0,0 +1,145 @@
+var State = require('./State');
+var Matcher = require('./Matcher');
+
+/**
+ * Base class for the formatters that turn the graph of an AwesomeAutomata
+ * instance into a diagram language (like the DOT language used by GraphViz).
+ *
+ * Subclasses implement `format()` and use the helpers below to walk the graph
+ * and describe its edges consistently.
+ */
+function Formatter(fsm, options) {
+  this._ = require('lodash');
+
+  this._fsm = fsm;
+  this._options = options || {};
+}
+
+/**
+ * Produce the diagram source as a string.  Must be implemented by subclasses.
+ */
+Formatter.prototype.format = function format() {
+  throw new Error('[AwesomeAutomata] Formatters must implement format()');
+};
+
+/**
+ * List every state of the graph in the order they are visited by walking the
+ * outgoing transitions breadth-first from the root node.  States that cannot
+ * be reached from the root node are appended at the end (in the order they
+ * were added) so that nothing is hidden from the diagram.
+ */
+Formatter.prototype._getStates = function getStates() {
+  var _ = this._;
+  var states = this._fsm._states;
+  var visited = {};
+  var ordered = [];
+  var queue = [];
+
+  var visit = function (state) {
+    if (state && !visited[state.getName()]) {
+      visited[state.getName()] = true;
+      ordered.push(state);
+      queue.push(state);
+    }
+  };
+
+  visit(this._fsm._rootNode);
+
+  while (queue.length) {
+    _.forEach(queue.shift().getTransitions(), function (transition) {
+      visit(states[transition.state]);
+    });
+  }
+
+  _.forEach(states, visit);
+
+  return ordered;
+};
+
+/**
+ * Describe the criteria of a transition: primitive values are shown as their
+ * JSON representation, matchers by their description (see Matcher), functions
+ * by their name, epsilon transitions as ε, timed transitions by their delay
+ * (like `after 3000ms`) and done transitions as `done`.
+ */
+Formatter.prototype._getCriteriaLabel = function getCriteriaLabel(transition) {
+  var name;
+
+  if (State.isEpsilon(transition)) {
+    return 'ε';
+  }
+
+  if (State.isTimed(transition)) {
+    return 'after ' + transition.after + 'ms';
+  }
+
+  if (State.isDone(transition)) {
+    return 'done';
+  }
+
+  name = transition.criteria.name;
+
+  if (State.isPrimitive(transition)) {
+    return JSON.stringify(transition.criteria.primitive);
+  }
+
+  if (State.isMatcher(transition)) {
+    return new Matcher(transition.criteria.matcher).describe();
+  }
+
+  // Anonymous functions defined inline in a transition config are named after
+  // the property they were assigned to, which makes for a useless label
+  return (name && name !== 'criteria') ? name : 'function';
+};
+
+/**
+ * Describe a transition for an edge label, including a marker for transitions
+ * that carry an accept action.
+ */
+Formatter.prototype._getTransitionLabel = function getTransitionLabel(transition) {
+  var label = this._getCriteriaLabel(transition);
+
+  if (typeof transition.accept === 'function') {
+    label += ' / ' + (transition.accept.name || 'accept');
+  }
+
+  return label;
+};
+
+/**
+ * Map each state name to an identifier that is safe to use in diagram
+ * languages which do not allow quoted identifiers.  Names that are not plain
+ * identifiers get a generated one and need to be declared with an alias.
+ */
+Formatter.prototype._getIdentifiers = function getIdentifiers(states) {
+  var _ = this._;
+  var identifiers = {};
+  var count = 0;
+
+  var identify = function (name) {
+    if (!identifiers[name]) {
+      identifiers[name] = /^[A-Za-z_]\w*$/.test(name) ? name : '__state' + count++;
+    }
+  };
+
+  // Transition targets are included in case they lead to undefined states
+  _.forEach(states, function (state) {
+    identify(state.getName());
+
+    _.forEach(state.getTransitions(), function (transition) {
+      identify(transition.state);
+    });
+  });
+
+  return identifiers;
+};
+
+/**
+ * Keep edge labels on a single line for line-based diagram languages
+ */
+Formatter.prototype._getInlineLabel = function getInlineLabel(transition) {
+  return this._getTransitionLabel(transition).replace(/[\r\n]+/g, ' ');
+};
+
+
+module.exports = Formatter;
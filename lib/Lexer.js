@@ -0,0 +1,302 @@
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var AwesomeAutomata = require('./AwesomeAutomata');
+var NondeterministicAutomata = require('./NondeterministicAutomata');
+var Matcher = require('./Matcher');
+
+/**
+ * A streaming lexer built on a nondeterministic machine.  Text is written in
+ * chunks of any size and fed to the machine one character at a time, so a
+ * token can be split across chunks.
+ *
+ * Tokens are defined in order of priority, either by their literal `text` or
+ * by a `pattern` of characters:
+ *
+ *   new Lexer({
+ *     name: 'arithmetic',
+ *     tokens: [
+ *       {type: 'let', text: 'let'},
+ *       {type: 'name', pattern: [{regex: /[a-z]/}, {criteria: {regex: /\w/}, repeat: true, optional: true}]},
+ *       {type: 'number', pattern: [{criteria: {range: ['0', '9']}, repeat: true}]},
+ *       {type: 'operator', pattern: [{oneOf: ['+', '-', '=']}]},
+ *       {type: 'space', pattern: [{criteria: ' ', repeat: true}], ignore: true}
+ *     ]
+ *   });
+ *
+ * Each element of a pattern matches a single character.  It is either criteria
+ * (a primitive value, a matcher or a criteria function) or an object with the
+ * `criteria` and the `repeat` (one or more times) and `optional` flags.
+ *
+ * The longest match wins, and the first definition wins between matches of the
+ * same length.  When a character cannot extend the current match, the lexer
+ * backtracks to the end of the longest match seen so far, emits it and starts
+ * over from the characters that followed it.
+ *
+ * Events:
+ *   * `token` - A token `{type, text, start, end}` where `start` and `end` are
+ *     the offsets of its first character and of the character following it
+ *     (tokens whose definition has `ignore: true` are not emitted)
+ *   * `error` - Emitted for a character that does not start any token, which
+ *     is then skipped.  The error has the `offset` and the `character`.
+ *   * `end` - Emitted once `end()` has emitted the last token
+ */
+function Lexer(config) {
+  config = config || {};
+
+  EventEmitter.call(this);
+
+  this._ = require('lodash');
+
+  this.name = config.name || 'lexer';
+
+  this._definitions = config.tokens;
+
+  // The states reached once a token has been matched, by state name, mapped to
+  // the index of their definition
+  this._finalStates = {};
+
+  // The characters read since the start of the current token, and the offset
+  // of the first one
+  this._buffer = '';
+  this._offset = 0;
+
+  // The longest match found in the buffer so far: the index of its definition
+  // and its length
+  this._match = null;
+
+  this._fsm = new NondeterministicAutomata({name: this.name, maxHistory: 1});
+  this._fsm.addStates(this._createStates());
+}
+
+util.inherits(Lexer, EventEmitter);
+
+/**
+ * Create the graph of the machine: a start state leading to a chain of states
+ * for each definition, one per element of its pattern
+ */
+Lexer.prototype._createStates = function createStates() {
+  var _ = this._;
+  var _this = this;
+  var start = {name: 'start', isInitial: true, outgoingTransitions: []};
+  var states = [start];
+
+  if (!(this._definitions instanceof Array) || !this._definitions.length) {
+    this._throwFatalError('A lexer must have an array of token definitions.');
+  }
+
+  _.forEach(this._definitions, function (definition, index) {
+    var elements = _this._getElements(definition, index);
+    var previous = start;
+
+    _.forEach(elements, function (element, position) {
+      var state = {name: 'token:' + index + ':' + position, outgoingTransitions: []};
+
+      previous.outgoingTransitions.push({state: state.name, criteria: element.criteria});
+
+      if (element.repeat) {
+        state.outgoingTransitions.push({state: state.name, criteria: element.criteria});
+      }
+
+      if (element.optional) {
+        previous.outgoingTransitions.push({state: state.name, epsilon: true});
+      }
+
+      states.push(state);
+      previous = state;
+    });
+
+    _this._finalStates[previous.name] = index;
+  });
+
+  return states;
+};
+
+/**
+ * Normalize the pattern (or the literal text) of a token definition into an
+ * array of `{criteria, repeat, optional}` elements
+ */
+Lexer.prototype._getElements = function getElements(definition, index) {
+  var _ = this._;
+  var elements;
+
+  if (!definition || !definition.type || typeof definition.type !== 'string') {
+    this._throwFatalError('The token definition at index ' + index + ' must have a type.');
+  }
+
+  if (typeof definition.text === 'string' && definition.text.length) {
+    return definition.text.split('').map(function (character) {
+      return {criteria: character};
+    });
+  }
+
+  if (!(definition.pattern instanceof Array) || !definition.pattern.length) {
+    this._throwFatalError(
+      'The token definition "' + definition.type + '" must have some text or ' +
+      'a non-empty pattern.'
+    );
+  }
+
+  elements = definition.pattern.map(function (element) {
+    if (Matcher.isDescriptor(element) && element.hasOwnProperty('criteria')) {
+      return element;
+    }
+
+    return {criteria: element};
+  });
+
+  if (_.every(elements, 'optional')) {
+    this._throwFatalError(
+      'The token definition "' + definition.type + '" cannot match an empty string.'
+    );
+  }
+
+  return elements;
+};
+
+/**
+ * Throw an exception for an invalid configuration
+ */
+Lexer.prototype._throwFatalError = function throwFatalError(msg) {
+  throw new Error('[AwesomeAutomata:' + this.name + '] ' + msg);
+};
+
+/**
+ * Feed a chunk of text to the lexer.  Tokens are emitted as soon as they
+ * cannot be extended by the following characters.
+ */
+Lexer.prototype.write = function write(chunk) {
+  var text = String(chunk);
+  var i = 0;
+
+  while (i < text.length) {
+    if (this._canRead(text[i])) {
+      this._read(text[i]);
+      i++;
+    } else if (this._buffer.length) {
+      // Start over after the longest match (or after the first character of
+      // the buffer when nothing matched)
+      text = this._backtrack() + text.slice(i);
+      i = 0;
+    } else {
+      this._skip(text[i]);
+      i++;
+    }
+  }
+
+  return this;
+};
+
+/**
+ * Emit the remaining tokens, optionally after writing a last chunk
+ */
+Lexer.prototype.end = function end(chunk) {
+  if (typeof chunk !== 'undefined') {
+    this.write(chunk);
+  }
+
+  while (this._buffer.length) {
+    this.write(this._backtrack());
+  }
+
+  this.emit('end');
+  return this;
+};
+
+/**
+ * Split a whole text into an array of tokens
+ */
+Lexer.prototype.tokenize = function tokenize(text) {
+  var tokens = [];
+  var onToken = function (token) {
+    tokens.push(token);
+  };
+
+  this.on('token', onToken);
+  this.end(text);
+  this.removeListener('token', onToken);
+
+  return tokens;
+};
+
+/**
+ * Check whether a character extends the current match (or starts a token)
+ */
+Lexer.prototype._canRead = function canRead(character) {
+  var fsm = this._fsm;
+
+  return fsm._findMoves(character, fsm._closure(fsm._currentStates), fsm._previousStates).length > 0;
+};
+
+/**
+ * Feed a character to the machine and remember the longest match
+ */
+Lexer.prototype._read = function read(character) {
+  var _this = this;
+  var definition;
+
+  this._fsm.next(character);
+  this._buffer += character;
+
+  definition = this._.min(this._fsm.getCurrentState().states.map(function (name) {
+    return _this._finalStates.hasOwnProperty(name) ? _this._finalStates[name] : Infinity;
+  }));
+
+  if (definition !== Infinity) {
+    this._match = {definition: definition, length: this._buffer.length};
+  }
+};
+
+/**
+ * Emit the longest match of the buffer as a token (or an error for its first
+ * character when nothing matched) and start a new token.  Returns the
+ * characters that followed it, which need to be read again.
+ */
+Lexer.prototype._backtrack = function backtrack() {
+  var buffer = this._buffer;
+  var match = this._match;
+  var definition;
+
+  this._buffer = '';
+  this._match = null;
+  this._fsm.reset();
+
+  if (!match) {
+    this._skip(buffer[0]);
+    return buffer.slice(1);
+  }
+
+  definition = this._definitions[match.definition];
+
+  if (!definition.ignore) {
+    this.emit('token', {
+      type: definition.type,
+      text: buffer.slice(0, match.length),
+      start: this._offset,
+      end: this._offset + match.length
+    });
+  }
+
+  this._offset += match.length;
+  return buffer.slice(match.length);
+};
+
+/**
+ * Emit an error for a character that does not start any token and move past
+ * it
+ */
+Lexer.prototype._skip = function skip(character) {
+  var err = new Error(
+    '[AwesomeAutomata:' + this.name + '] Unexpected character: ' +
+    JSON.stringify(character) + ' at offset ' + this._offset
+  );
+
+  err.offset = this._offset;
+  err.character = character;
+
+  this._offset++;
+  this.emit('error', err);
+};
+
+AwesomeAutomata.Lexer = Lexer;
+
+module.exports = Lexer;
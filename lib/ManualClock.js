@@ -0,0 +1,66 @@
+/**
+ * A clock whose time only moves when `tick()` is called, to be passed as the
+ * `clock` option of a machine so that timed transitions can be tested without
+ * waiting.
+ *
+ * Any object with the same `setTimeout(fn, delay)` and `clearTimeout(handle)`
+ * methods can be used as a clock.
+ */
+function ManualClock() {
+  this._ = require('lodash');
+
+  this._now = 0;
+  this._lastId = 0;
+
+  // The pending timers, each with its `id`, the `time` it is due at and the
+  // function to call
+  this._timers = [];
+}
+
+/**
+ * Getter for the number of milliseconds the clock has moved forward
+ */
+ManualClock.prototype.now = function now() {
+  return this._now;
+};
+
+/**
+ * Schedule a function to be called once the clock has moved forward by the
+ * delay.  Returns a handle for `clearTimeout()`.
+ */
+ManualClock.prototype.setTimeout = function setTimeout(fn, delay) {
+  var id = ++this._lastId;
+
+  this._timers.push({id: id, time: this._now + (delay || 0), fn: fn});
+  return id;
+};
+
+/**
+ * Cancel a pending timer
+ */
+ManualClock.prototype.clearTimeout = function clearTimeout(id) {
+  this._.remove(this._timers, {id: id});
+};
+
+/**
+ * Move the clock forward, calling the timers that are due in the order they
+ * are due (or were scheduled, for timers due at the same time).  Timers
+ * scheduled by those functions are called as well if they are due before the
+ * new time.
+ */
+ManualClock.prototype.tick = function tick(ms) {
+  var time = this._now + (ms || 0);
+  var timer;
+
+  while ((timer = this._.first(this._.sortByAll(this._timers, ['time', 'id']))) && timer.time <= time) {
+    this.clearTimeout(timer.id);
+    this._now = timer.time;
+    timer.fn();
+  }
+
+  this._now = time;
+  return this;
+};
+
+
+module.exports = ManualClock;
@@ -0,0 +1,302 @@
+/**
+ * Declarative transition criteria.  Unlike criteria functions, they can be
+ * inspected (to label the edges of a diagram, to find shadowed transitions or
+ * to be written to a JSON definition) while still being compiled into a plain
+ * function for `next()`.
+ *
+ * A matcher is an object with one of the following properties:
+ *
+ *   * `regex` - A RegExp (or its source, with optional `flags`) that string
+ *     inputs must match
+ *   * `range` - An array of the `[min, max]` numbers or strings (inclusive)
+ *     that inputs of the same type must be between
+ *   * `oneOf` - An array of primitive values, one of which must be equal to
+ *     the input
+ *   * `any` - Set to `true` to match every input
+ *   * `not` - An operand that must not match
+ *   * `and` / `or` - An array of operands that must all (or at least one of
+ *     them) match
+ *
+ * Operands are other matchers, criteria functions or primitive values (which
+ * are compared with `===`):
+ *
+ *   {and: [{range: ['a', 'z']}, {not: {oneOf: ['q', 'x']}}]}
+ */
+function Matcher(descriptor) {
+  this._ = require('lodash');
+
+  this._descriptor = descriptor;
+}
+
+// The properties describing each kind of matcher
+Matcher.KINDS = ['regex', 'range', 'oneOf', 'any', 'not', 'and', 'or'];
+
+/**
+ * Check whether a criteria value is a matcher (any plain object) rather than a
+ * function or a primitive value
+ */
+Matcher.isDescriptor = function isDescriptor(value) {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+};
+
+/**
+ * Describe what is wrong with the matcher (or one of its operands), or return
+ * null when it is valid
+ */
+Matcher.prototype.getError = function getError() {
+  var _ = this._;
+  var descriptor = this._descriptor;
+  var kinds = _.intersection(_.keys(descriptor), Matcher.KINDS);
+  var extra = _.difference(_.keys(descriptor), Matcher.KINDS, kinds[0] === 'regex' ? ['flags'] : []);
+  var error = null;
+
+  if (kinds.length !== 1 || extra.length) {
+    return 'A matcher must have exactly one of the properties: ' + Matcher.KINDS.join(', ') + '.';
+  }
+
+  switch (kinds[0]) {
+    case 'regex':
+      if (!(descriptor.regex instanceof RegExp) && typeof descriptor.regex !== 'string') {
+        return 'The regex of a matcher must be a RegExp or a string.';
+      }
+
+      try {
+        this._getRegExp();
+      } catch (err) {
+        return 'The regex of a matcher is invalid: ' + err.message;
+      }
+
+      return null;
+
+    case 'range':
+      if (
+        !(descriptor.range instanceof Array) ||
+        descriptor.range.length !== 2 ||
+        !_.includes(['number', 'string'], typeof descriptor.range[0]) ||
+        typeof descriptor.range[0] !== typeof descriptor.range[1]
+      ) {
+        return 'The range of a matcher must be an array of two numbers or two strings.';
+      }
+
+      return null;
+
+    case 'oneOf':
+      if (!(descriptor.oneOf instanceof Array) || _.some(descriptor.oneOf, _.isObject)) {
+        return 'The oneOf property of a matcher must be an array of primitive values.';
+      }
+
+      return null;
+
+    case 'any':
+      return descriptor.any === true ? null : 'The any property of a matcher must be true.';
+
+    case 'not':
+      return this._getOperandError(descriptor.not);
+
+    default:
+      if (!(descriptor[kinds[0]] instanceof Array) || !descriptor[kinds[0]].length) {
+        return 'The ' + kinds[0] + ' property of a matcher must be a non-empty array of operands.';
+      }
+
+      _.forEach(descriptor[kinds[0]], function (operand) {
+        error = this._getOperandError(operand);
+        return !error;
+      }, this);
+
+      return error;
+  }
+};
+
+/**
+ * Validate an operand of a `not`, `and` or `or` matcher
+ */
+Matcher.prototype._getOperandError = function getOperandError(operand) {
+  if (Matcher.isDescriptor(operand)) {
+    return new Matcher(operand).getError();
+  }
+
+  if (typeof operand === 'function' || !this._.isObject(operand)) {
+    return null;
+  }
+
+  return 'The operands of a matcher must be matchers, functions or primitive values.';
+};
+
+/**
+ * Create the criteria function of a valid matcher.  The matcher is kept as
+ * the `matcher` property of the function so the graph can still be inspected.
+ */
+Matcher.prototype.compile = function compile() {
+  var _ = this._;
+  var descriptor = this._descriptor;
+  var criteria;
+  var regex;
+  var values;
+  var operands;
+
+  if (descriptor.hasOwnProperty('regex')) {
+    regex = this._getRegExp();
+    criteria = function (input) {
+      return typeof input === 'string' && regex.test(input);
+    };
+  } else if (descriptor.hasOwnProperty('range')) {
+    criteria = function (input) {
+      return (
+        typeof input === typeof descriptor.range[0] &&
+        input >= descriptor.range[0] &&
+        input <= descriptor.range[1]
+      );
+    };
+  } else if (descriptor.hasOwnProperty('oneOf')) {
+    // Look the values up by type so that `1` does not match `'1'`
+    values = {};
+
+    _.forEach(descriptor.oneOf, function (value) {
+      values[typeof value + ':' + String(value)] = true;
+    });
+
+    criteria = function (input) {
+      return values.hasOwnProperty(typeof input + ':' + String(input));
+    };
+  } else if (descriptor.hasOwnProperty('any')) {
+    criteria = function () {
+      return true;
+    };
+  } else if (descriptor.hasOwnProperty('not')) {
+    operands = this._compileOperands([descriptor.not]);
+    criteria = function () {
+      return !operands[0].apply(null, arguments);
+    };
+  } else if (descriptor.hasOwnProperty('and')) {
+    operands = this._compileOperands(descriptor.and);
+    criteria = function () {
+      var args = arguments;
+
+      return operands.every(function (operand) {
+        return operand.apply(null, args);
+      });
+    };
+  } else {
+    operands = this._compileOperands(descriptor.or);
+    criteria = function () {
+      var args = arguments;
+
+      return operands.some(function (operand) {
+        return operand.apply(null, args);
+      });
+    };
+  }
+
+  criteria.matcher = descriptor;
+  return criteria;
+};
+
+/**
+ * Turn the operands of a `not`, `and` or `or` matcher into functions, which
+ * receive the same arguments as criteria functions
+ */
+Matcher.prototype._compileOperands = function compileOperands(operands) {
+  return operands.map(function (operand) {
+    if (Matcher.isDescriptor(operand)) {
+      return new Matcher(operand).compile();
+    }
+
+    if (typeof operand === 'function') {
+      return operand;
+    }
+
+    return function (input) {
+      return input === operand;
+    };
+  });
+};
+
+/**
+ * Check whether the matcher (or one of its operands) uses criteria functions,
+ * in which case it may depend on more than the input
+ */
+Matcher.prototype.hasFunctions = function hasFunctions() {
+  var descriptor = this._descriptor;
+  var operands = descriptor.hasOwnProperty('not') ? [descriptor.not] : (descriptor.and || descriptor.or);
+
+  return this._.some(operands, function (operand) {
+    return (
+      typeof operand === 'function' ||
+      (Matcher.isDescriptor(operand) && new Matcher(operand).hasFunctions())
+    );
+  });
+};
+
+/**
+ * Create the RegExp of a `regex` matcher.  The global and sticky flags are
+ * dropped since they would make every test depend on the previous one.
+ */
+Matcher.prototype._getRegExp = function getRegExp() {
+  var regex = this._descriptor.regex;
+  var source = regex instanceof RegExp ? regex.source : regex;
+  var flags = regex instanceof RegExp ? regex.flags : (this._descriptor.flags || '');
+
+  return new RegExp(source, flags.replace(/[gy]/g, ''));
+};
+
+/**
+ * Describe the matcher for a diagram label, like `(/[a-z]/ and not "q")`
+ */
+Matcher.prototype.describe = function describe() {
+  var descriptor = this._descriptor;
+  var regex;
+
+  var describeOperands = function (operands, separator) {
+    return '(' + operands.map(Matcher.describeOperand).join(separator) + ')';
+  };
+
+  if (descriptor.hasOwnProperty('regex')) {
+    regex = this._getRegExp();
+    return '/' + regex.source + '/' + regex.flags;
+  }
+
+  if (descriptor.hasOwnProperty('range')) {
+    return JSON.stringify(descriptor.range[0]) + '..' + JSON.stringify(descriptor.range[1]);
+  }
+
+  if (descriptor.hasOwnProperty('oneOf')) {
+    return JSON.stringify(descriptor.oneOf);
+  }
+
+  if (descriptor.hasOwnProperty('any')) {
+    return 'any';
+  }
+
+  if (descriptor.hasOwnProperty('not')) {
+    return 'not ' + Matcher.describeOperand(descriptor.not);
+  }
+
+  if (descriptor.hasOwnProperty('and')) {
+    return describeOperands(descriptor.and, ' and ');
+  }
+
+  return describeOperands(descriptor.or, ' or ');
+};
+
+/**
+ * Describe an operand: matchers are described, functions are shown by name
+ * and primitive values as their JSON representation
+ */
+Matcher.describeOperand = function describeOperand(operand) {
+  if (Matcher.isDescriptor(operand)) {
+    return new Matcher(operand).describe();
+  }
+
+  if (typeof operand === 'function') {
+    return (operand.name && operand.name !== 'criteria') ? operand.name : 'function';
+  }
+
+  return JSON.stringify(operand);
+};
+
+
+module.exports = Matcher;
@@ -0,0 +1,57 @@
+var util = require('util');
+var Formatter = require('./Formatter');
+
+/**
+ * Creates a Mermaid `stateDiagram-v2` diagram from an AwesomeAutomata graph.
+ *
+ * The initial state is drawn as `[*] --> state`, terminal states as
+ * `state --> [*]` and every outgoing transition becomes an edge labelled with
+ * its criteria.  States whose names are not plain identifiers are declared
+ * with an alias.
+ */
+function MermaidFormatter(fsm, options) {
+  Formatter.call(this, fsm, options);
+}
+
+util.inherits(MermaidFormatter, Formatter);
+
+/**
+ * Produce the Mermaid source for the whole graph
+ */
+MermaidFormatter.prototype.format = function format() {
+  var _ = this._;
+  var _this = this;
+  var states = this._getStates();
+  var ids = this._getIdentifiers(states);
+  var lines = ['stateDiagram-v2'];
+
+  _.forEach(ids, function (id, name) {
+    if (id !== name) {
+      lines.push('  state "' + name.replace(/"/g, '#quot;') + '" as ' + id);
+    }
+  });
+
+  _.forEach(states, function (state) {
+    var id = ids[state.getName()];
+
+    if (state.isInitial()) {
+      lines.push('  [*] --> ' + id);
+    }
+
+    _.forEach(state.getTransitions(), function (transition) {
+      lines.push(
+        '  ' + id + ' --> ' + ids[transition.state] + ' : ' +
+        _this._getInlineLabel(transition)
+      );
+    });
+
+    if (state.isTerminal()) {
+      lines.push('  ' + id + ' --> [*]');
+    }
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+
+module.exports = MermaidFormatter;
@@ -0,0 +1,307 @@
+var State = require('./State');
+
+/**
+ * Merges the equivalent states of a deterministic machine whose transitions
+ * all use primitive criteria, using Moore's partition refinement algorithm.
+ *
+ * Two states are equivalent when they are both terminal (or not), have the
+ * same accept function and `onEnter` and `onExit` hooks and, for every input
+ * value, lead to equivalent states through transitions with the same accept
+ * action and `assign` updaters.  When the machine resets at its root node, the
+ * root node is never merged with another state.
+ *
+ * States that cannot be reached from the root node are dropped.  Machines with
+ * nested or parallel states are not supported.
+ */
+function Minimizer(fsm) {
+  this._ = require('lodash');
+
+  this._fsm = fsm;
+}
+
+/**
+ * Create the minimized machine.  Returns an object with the new
+ * `automata`, the groups of original state names that were `merged` together
+ * (each group is named after its first state) and the names of the unreachable
+ * states that were `removed`.
+ */
+Minimizer.prototype.minimize = function minimize() {
+  var _ = this._;
+  var _this = this;
+  var fsm = this._fsm;
+  var moves = {};
+  var alphabet = [];
+  var states;
+  var blocks;
+  var automata;
+
+  if (!fsm._rootNode) {
+    fsm._throwFatalError('Cannot minimize a machine without a starting state.');
+  }
+
+  states = this._getReachableStates();
+
+  // Build the transition function of each state, ignoring transitions that are
+  // shadowed by an earlier one with the same value (the first match wins)
+  _.forEach(states, function (state) {
+    var move = moves[state.getName()] = {values: [], targets: {}, accepts: {}, assigns: {}};
+
+    if (state.getParent() || state.getInitialState() || state.getRegions().length) {
+      fsm._throwFatalError(
+        'Cannot minimize the state "' + state.getName() + '", nested and ' +
+        'parallel states are not supported.'
+      );
+    }
+
+    _.forEach(state.getTransitions(), function (transition) {
+      var value;
+
+      if (!State.isPrimitive(transition)) {
+        fsm._throwFatalError(
+          'Cannot minimize the state "' + state.getName() + '", only ' +
+          'primitive criteria are supported.'
+        );
+      }
+
+      value = _this._key(transition.criteria.primitive);
+
+      if (!move.targets.hasOwnProperty(value)) {
+        move.values.push(transition.criteria.primitive);
+        move.targets[value] = transition.state;
+        move.accepts[value] = transition.accept;
+        move.assigns[value] = transition.assign;
+      }
+
+      if (!_.includes(alphabet, value)) {
+        alphabet.push(value);
+      }
+    });
+  });
+
+  blocks = this._refine(states, moves, alphabet);
+  automata = this._build(states, moves, blocks);
+
+  return {
+    automata: automata,
+    merged: _.filter(this._groupNames(states, blocks), function (group) {
+      return group.length > 1;
+    }),
+    removed: _.difference(_.keys(fsm._states), states.map(function (state) {
+      return state.getName();
+    }))
+  };
+};
+
+/**
+ * Partition the states into blocks of equivalent states.  Returns a hash of
+ * state names to block numbers.
+ */
+Minimizer.prototype._refine = function refine(states, moves, alphabet) {
+  var _ = this._;
+  var fsm = this._fsm;
+  var functions = [];
+  var count = 0;
+  var blocks;
+
+  // Give every accept function (and assign updater) a number so that they can
+  // be part of a key
+  var id = function (fn) {
+    if (!fn) {
+      return -1;
+    }
+
+    if (!_.includes(functions, fn)) {
+      functions.push(fn);
+    }
+
+    return functions.indexOf(fn);
+  };
+
+  // Assign block numbers in the order the signatures are first seen
+  var partition = function (signature) {
+    var numbers = {};
+    var result = {};
+
+    _.forEach(states, function (state) {
+      var key = signature(state);
+
+      if (!numbers.hasOwnProperty(key)) {
+        numbers[key] = _.size(numbers);
+      }
+
+      result[state.getName()] = numbers[key];
+    });
+
+    return {blocks: result, count: _.size(numbers)};
+  };
+
+  var current = partition(function (state) {
+    return [
+      !!state.isTerminal(),
+      id(state.accept),
+      id(state.onEnter),
+      id(state.onExit),
+      !!(state.isInitial() && fsm._resetAtRoot)
+    ].join(':');
+  });
+
+  blocks = current.blocks;
+
+  // Keep splitting blocks until the partition is stable
+  while (current.count !== count) {
+    count = current.count;
+
+    current = partition(function (state) {
+      var move = moves[state.getName()];
+
+      return blocks[state.getName()] + '|' + alphabet.map(function (value) {
+        if (!move.targets.hasOwnProperty(value)) {
+          return '-';
+        }
+
+        return [
+          blocks[move.targets[value]],
+          id(move.accepts[value]),
+          id(move.assigns[value])
+        ].join(':');
+      }).join('|');
+    });
+
+    blocks = current.blocks;
+  }
+
+  return blocks;
+};
+
+/**
+ * Create the machine with one state per block, named after the first state of
+ * the block
+ */
+Minimizer.prototype._build = function build(states, moves, blocks) {
+  // Required here since AwesomeAutomata depends on this module
+  var AwesomeAutomata = require('./AwesomeAutomata');
+  var _ = this._;
+  var fsm = this._fsm;
+  var names = {};
+  var configs = [];
+  var automata;
+
+  _.forEach(states, function (state) {
+    var block = blocks[state.getName()];
+    var move = moves[state.getName()];
+
+    if (names.hasOwnProperty(block)) {
+      return;
+    }
+
+    names[block] = state.getName();
+
+    configs.push({
+      name: state.getName(),
+      isTerminal: state.isTerminal(),
+      accept: state.accept,
+      onEnter: state.onEnter,
+      onExit: state.onExit,
+      move: move
+    });
+  });
+
+  configs = configs.map(function (config, index) {
+    var move = config.move;
+
+    delete config.move;
+    config.isInitial = (index === 0);
+
+    if (move.values.length) {
+      config.outgoingTransitions = move.values.map(function (value) {
+        var key = this._key(value);
+
+        return {
+          state: names[blocks[move.targets[key]]],
+          criteria: value,
+          accept: move.accepts[key],
+          assign: move.assigns[key]
+        };
+      }, this);
+    }
+
+    return config;
+  }, this);
+
+  automata = new AwesomeAutomata({
+    name: fsm.name,
+    debug: fsm.debug,
+    maxHistory: fsm._maxHistory,
+    resetAtRoot: fsm._resetAtRoot,
+    strict: fsm._strict,
+    context: fsm._initialContext
+  });
+
+  automata.addStates(configs);
+
+  return automata;
+};
+
+/**
+ * List the names of the states in each block
+ */
+Minimizer.prototype._groupNames = function groupNames(states, blocks) {
+  var groups = [];
+
+  this._.forEach(states, function (state) {
+    var block = blocks[state.getName()];
+
+    groups[block] = groups[block] || [];
+    groups[block].push(state.getName());
+  });
+
+  return groups;
+};
+
+/**
+ * Find the states that can be reached from the root node, with the root node
+ * first and the others in the order they were added.  Transitions to undefined
+ * states are fatal errors.
+ */
+Minimizer.prototype._getReachableStates = function getReachableStates() {
+  var _ = this._;
+  var fsm = this._fsm;
+  var reachable = {};
+  var queue = [fsm._rootNode];
+
+  while (queue.length) {
+    var state = queue.shift();
+
+    reachable[state.getName()] = true;
+
+    _.forEach(state.getTransitions(), function (transition) {
+      var target = fsm._states[transition.state];
+
+      if (!target) {
+        fsm._throwFatalError(
+          'Cannot minimize the state "' + state.getName() + '", it has a ' +
+          'transition to an undefined state: "' + transition.state + '"'
+        );
+      }
+
+      if (!reachable[transition.state] && !_.includes(queue, target)) {
+        queue.push(target);
+      }
+    });
+  }
+
+  return [fsm._rootNode].concat(_.filter(fsm._states, function (state) {
+    return state !== fsm._rootNode && reachable[state.getName()];
+  }));
+};
+
+/**
+ * Create a hash key for a primitive value that does not confuse values of
+ * different types (like `1` and `'1'`)
+ */
+Minimizer.prototype._key = function key(value) {
+  return typeof value + ':' + String(value);
+};
+
+
+module.exports = Minimizer;
@@ -0,0 +1,702 @@
+var util = require('util');
+var AwesomeAutomata = require('./AwesomeAutomata');
+var State = require('./State');
+var Serializer = require('./Serializer');
+
+/**
+ * A nondeterministic finite state machine (NFA).  States are defined exactly
+ * like they are for AwesomeAutomata except that:
+ *
+ *   * Several transitions of the active states may match the same input, and
+ *     all of them are followed
+ *   * Transitions can be epsilon transitions (`{state: 'name', epsilon: true}`)
+ *     which are followed without consuming any input
+ *
+ * Instead of a single current state, the machine tracks the set of active
+ * states.  The accept functions of every active state that is entered are
+ * called (each one emitting a `return` event), and the machine is reset as
+ * soon as one of the active states is a terminal state.  The `onExit` and
+ * `onEnter` hooks are only called for the states that stop or start being
+ * active (the `from` and `to` of their info are arrays of state names).
+ *
+ * Criteria functions receive `(input, previousStates, context)` where
+ * `previousStates` is the array of states that were active before the current
+ * ones.  The context is read-only since transitions cannot have `assign`
+ * updaters.
+ *
+ * Machines that only use primitive criteria can be converted into an
+ * equivalent deterministic AwesomeAutomata with `toDeterministic()`.
+ */
+function NondeterministicAutomata(config) {
+  AwesomeAutomata.call(this, config);
+
+  this._allowsEpsilon = true;
+
+  // The active states before following any epsilon transitions
+  this._currentStates = [];
+  this._previousStates = [];
+}
+
+util.inherits(NondeterministicAutomata, AwesomeAutomata);
+
+/**
+ * Create a nondeterministic machine from a declarative JSON definition (see
+ * `AwesomeAutomata.fromJSON()`)
+ */
+NondeterministicAutomata.fromJSON = function fromJSON(definition, registry) {
+  return new Serializer(registry).load(definition, NondeterministicAutomata);
+};
+
+/**
+ * Get the current status of the state machine.  The `states` are all of the
+ * active states, including the ones reached by epsilon transitions.
+ */
+NondeterministicAutomata.prototype.getCurrentState = function getCurrentState() {
+  return {
+    states: this._getNames(this._closure(this._currentStates)),
+    history: this._previouslyVisitedStates,
+    context: this._getContext()
+  };
+};
+
+/**
+ * Add a state to the graph (see `AwesomeAutomata.addState()`) and track the
+ * root node as the only active state.  Nested states, parallel states,
+ * invoked machines, `assign` updaters and timed transitions are not supported.
+ */
+NondeterministicAutomata.prototype.addState = function addState(stateConfig) {
+  if (stateConfig && (stateConfig.parent || stateConfig.states || stateConfig.regions || stateConfig.invoke)) {
+    this._throwFatalError(
+      'The state "' + stateConfig.name + '" is nested, has regions or invokes a ' +
+      'machine, which is not supported by nondeterministic machines.'
+    );
+  }
+
+  AwesomeAutomata.prototype.addState.call(this, stateConfig);
+
+  if (this._rootNode && !this._currentStates.length) {
+    this._restart();
+  }
+
+  return this; // Provide chainability
+};
+
+/**
+ * Make the root node the only active state without calling any hooks or
+ * emitting any events
+ */
+NondeterministicAutomata.prototype._restart = function restart() {
+  this._previousStates = [];
+  this._currentStates = [this._rootNode];
+  this._previouslyVisitedStates = [{states: [this._rootNode.getName()], input: null}];
+};
+
+/**
+ * Replace the definition of a state (see `AwesomeAutomata.replaceState()`).
+ * Nested and parallel states and invoked machines are not supported.
+ */
+NondeterministicAutomata.prototype.replaceState = function replaceState(stateConfig) {
+  if (stateConfig && (stateConfig.parent || stateConfig.regions || stateConfig.invoke)) {
+    this._throwFatalError(
+      'The state "' + stateConfig.name + '" is nested, has regions or invokes a ' +
+      'machine, which is not supported by nondeterministic machines.'
+    );
+  }
+
+  return AwesomeAutomata.prototype.replaceState.call(this, stateConfig);
+};
+
+/**
+ * Timed transitions are not supported, so there is nothing to schedule
+ */
+NondeterministicAutomata.prototype._startActiveTimers = function startActiveTimers() {};
+
+/**
+ * Throw an exception for `assign` updaters and timed transitions, which are
+ * not supported
+ */
+NondeterministicAutomata.prototype._checkTransitions = function checkTransitions(name, transitions) {
+  if (this._.some(transitions, 'assign')) {
+    this._throwFatalError(
+      'The state "' + name + '" has transitions with assign ' +
+      'updaters, which are not supported by nondeterministic machines.'
+    );
+  }
+
+  if (this._.some(transitions, State.isTimed)) {
+    this._throwFatalError(
+      'The state "' + name + '" has timed transitions, which are ' +
+      'not supported by nondeterministic machines.'
+    );
+  }
+};
+
+/**
+ * Check whether a state is active, including the states reached by epsilon
+ * transitions
+ */
+NondeterministicAutomata.prototype._isActive = function isActive(state) {
+  return this._.includes(this._closure(this._currentStates), state);
+};
+
+/**
+ * Point the active states to the new instance of a replaced state
+ */
+NondeterministicAutomata.prototype._swapState = function swapState(previous, state) {
+  var swap = function (states) {
+    return states.map(function (active) {
+      return active === previous ? state : active;
+    });
+  };
+
+  AwesomeAutomata.prototype._swapState.call(this, previous, state);
+
+  this._currentStates = swap(this._currentStates);
+  this._previousStates = swap(this._previousStates);
+};
+
+/**
+ * Receive an input and follow every matching transition out of the active
+ * states.  The result has the same information as the one of
+ * `AwesomeAutomata.next()` except that `accept` is an array of every accepted
+ * value (and `transition.actions` of every value returned by a transition
+ * action) and `currentStates` replaces `currentState`.
+ */
+NondeterministicAutomata.prototype.next = function next(input, callback) {
+  if (!this._rootNode) {
+    this._throwFatalError('Cannot start processing data without a starting state.');
+  }
+
+  var activeStates = this._closure(this._currentStates);
+  var result = this._process(input);
+  var error = null;
+
+  // No valid transition was found out of any of the active states, see
+  // `AwesomeAutomata._recover()`
+  if (!result) {
+    error = this._createError(
+      'Cannot find valid transition from: ' +
+      this._getNames(activeStates).map(JSON.stringify).join(', ') + ' ' +
+      'with input: ' + JSON.stringify(input),
+      {state: this._getNames(activeStates), input: input, history: this._previouslyVisitedStates.slice()},
+      AwesomeAutomata.NoTransitionError
+    );
+
+    result = this._recover(input, error, typeof callback === 'function');
+
+    // Skipped inputs are not errors
+    if (this._onUnmatched === 'skip') {
+      error = null;
+    }
+  }
+
+  return this._respond(error, result, callback);
+};
+
+/**
+ * Follow every matching transition out of the active states.  Returns the
+ * result for the `next()` callback, or null when nothing matched (which lets
+ * a nondeterministic machine be invoked by a state of another machine).
+ */
+NondeterministicAutomata.prototype._process = function process(input) {
+  var activeStates = this._closure(this._currentStates);
+  var moves = this._findMoves(input, activeStates, this._previousStates);
+
+  return moves.length ? this._move(input, activeStates, moves) : null;
+};
+
+/**
+ * Follow the given moves out of the active states and return the result for
+ * the `next()` callback
+ */
+NondeterministicAutomata.prototype._move = function move(input, activeStates, moves) {
+  var _this = this;
+  var nextStates = this._sortStates(this._.uniq(this._.pluck(moves, 'state')));
+  var enteredStates;
+  var info;
+  var actions = [];
+  var accepted = [];
+  var transitionInfo;
+  var resetValue;
+
+  enteredStates = this._closure(nextStates);
+  info = {from: this._getNames(activeStates), to: this._getNames(enteredStates), input: input};
+
+  // Leave the states that are no longer active
+  this._exitStates(this._.difference(activeStates, enteredStates), info);
+
+  // Fire the actions of every transition that is followed
+  this._.forEach(moves, function (move) {
+    if (typeof move.transition.accept === 'function') {
+      _this._collect(
+        move.transition.accept(input, _this._previouslyVisitedStates.slice(), _this._getContext()),
+        actions
+      );
+    }
+  });
+
+  this._previousStates = activeStates;
+  this._currentStates = nextStates;
+  this._previouslyVisitedStates.push({states: this._getNames(enteredStates), input: input});
+
+  // Remove elements from the head of the FIFO queue
+  if (this._maxHistory && this._previouslyVisitedStates.length > this._maxHistory) {
+    this._previouslyVisitedStates.shift();
+  }
+
+  transitionInfo = {
+    from: this._getNames(activeStates),
+    to: this._getNames(enteredStates),
+    history: this._previouslyVisitedStates,
+    input: input,
+    actions: actions
+  };
+
+  this.emit('change', transitionInfo);
+  this._enterStates(this._.difference(enteredStates, activeStates), info);
+
+  // Call the accept method of every active state
+  this._.forEach(enteredStates, function (state) {
+    if (typeof state.accept === 'function') {
+      _this._collect(
+        state.accept(input, _this._previouslyVisitedStates.slice(), _this._getContext()),
+        accepted
+      );
+    }
+  });
+
+  // If any of the active states is an end state - reset the FSM
+  if (
+    this._.some(enteredStates, function (state) { return state.isTerminal(); }) ||
+    (this._resetAtRoot && this._.includes(nextStates, this._rootNode))
+  ) {
+    resetValue = this.reset();
+  }
+
+  return {
+    accept: accepted,
+    reset: resetValue,
+    currentStates: this.getCurrentState().states,
+    history: this._previouslyVisitedStates,
+    transition: transitionInfo
+  };
+};
+
+/**
+ * Describe the active states for the `next()` callback when an input was not
+ * matched (see `AwesomeAutomata._recover()`)
+ */
+NondeterministicAutomata.prototype._getUnmatchedResult = function getUnmatchedResult() {
+  return {
+    currentStates: this.getCurrentState().states,
+    history: this._previouslyVisitedStates
+  };
+};
+
+/**
+ * Leave the active states for the given state (and the states reachable from
+ * it by epsilon transitions), see `AwesomeAutomata._recover()`
+ */
+NondeterministicAutomata.prototype._jump = function jump(input, state) {
+  var activeStates = this._closure(this._currentStates);
+
+  return this._move(input, activeStates, [{
+    from: null,
+    transition: {state: state.getName()},
+    state: state
+  }]);
+};
+
+/**
+ * Emit the value (or the values, see `AwesomeAutomata.emitAll()`) returned by
+ * an accept function or a transition action and add them to an array
+ */
+NondeterministicAutomata.prototype._collect = function collect(value, values) {
+  var accepted = this._accept(value);
+
+  if (this._isMultiple(value)) {
+    values.push.apply(values, accepted);
+  } else if (typeof accepted !== 'undefined') {
+    values.push(accepted);
+  }
+};
+
+/**
+ * `nextAsync()` only supports deterministic machines
+ */
+NondeterministicAutomata.prototype._nextAsync = function nextAsync() {
+  this._throwFatalError('nextAsync() is not supported by nondeterministic machines.');
+};
+
+/**
+ * Find every transition out of the given states that matches the input.
+ *
+ * Returns an array of `{from, transition, state}` objects in the order of the
+ * given states and their transitions.
+ */
+NondeterministicAutomata.prototype._findMoves = function findMoves(input, states, previousStates) {
+  var _this = this;
+  var context = this._getContext();
+  var moves = [];
+
+  this._.forEach(states, function (from) {
+    _this._.forEach(from.getTransitions(), function (transition) {
+      if (State.isEpsilon(transition) || !transition.criteria(input, previousStates, context)) {
+        return;
+      }
+
+      var state = _this._getTarget(from, transition, input);
+
+      if (state) {
+        moves.push({from: from, transition: transition, state: state});
+      }
+    });
+  });
+
+  return moves;
+};
+
+/**
+ * Find every state that can be reached from the given states by following
+ * epsilon transitions (including the given states themselves).  States are
+ * returned in the order they were added to the machine.
+ */
+NondeterministicAutomata.prototype._closure = function closure(states) {
+  var _this = this;
+  var visited = {};
+  var result = [];
+  var queue = [];
+
+  var visit = function (state) {
+    if (state && !visited[state.getName()]) {
+      visited[state.getName()] = true;
+      result.push(state);
+      queue.push(state);
+    }
+  };
+
+  this._.forEach(states, visit);
+
+  while (queue.length) {
+    var from = queue.shift();
+
+    this._.forEach(from.getTransitions(), function (transition) {
+      if (State.isEpsilon(transition)) {
+        visit(_this._getTarget(from, transition));
+      }
+    });
+  }
+
+  return this._sortStates(result);
+};
+
+/**
+ * Sort states in the order they were added to the machine so that a set of
+ * states is always described the same way
+ */
+NondeterministicAutomata.prototype._sortStates = function sortStates(states) {
+  var order = {};
+
+  this._.keys(this._states).forEach(function (name, index) {
+    order[name] = index;
+  });
+
+  return this._.sortBy(states, function (state) {
+    return order[state.getName()];
+  });
+};
+
+/**
+ * Look up the target of a transition, emitting an error if it does not exist
+ * (with the input being read, if any)
+ */
+NondeterministicAutomata.prototype._getTarget = function getTarget(from, transition, input) {
+  var state = this._states[transition.state];
+
+  if (!state) {
+    this._emitDanglingTransition(from, transition, input);
+  }
+
+  return state;
+};
+
+/**
+ * Map an array of states to their names
+ */
+NondeterministicAutomata.prototype._getNames = function getNames(states) {
+  return states.map(function (state) {
+    return state.getName();
+  });
+};
+
+/**
+ * Properly resets the internal state of the machine so that the root node is
+ * the only active state
+ */
+NondeterministicAutomata.prototype.reset = function reset() {
+  var activeStates = this._closure(this._currentStates);
+  var initialStates = this._closure([this._rootNode]);
+  var finalStates = this._getNames(activeStates);
+  var history = this._previouslyVisitedStates;
+  var info = {from: finalStates, to: this._getNames(initialStates), input: null, reset: true};
+  var resetValue;
+
+  this._exitStates(activeStates, info);
+
+  this._previousStates = [];
+  this._currentStates = [this._rootNode];
+  this._previouslyVisitedStates = [{
+    states: this._getNames(initialStates),
+    input: null
+  }];
+
+  this._enterStates(initialStates, info);
+
+  resetValue = {finalStates: finalStates, history: history, context: this._getContext()};
+  this.emit('reset', resetValue);
+  return resetValue;
+};
+
+/**
+ * Capture the runtime state of the machine (see `AwesomeAutomata.snapshot()`).
+ * The snapshot has the `states` and `previousStates` arrays instead of
+ * `state` and `previousState`.
+ */
+NondeterministicAutomata.prototype.snapshot = function snapshot() {
+  if (!this._rootNode) {
+    this._throwFatalError('Cannot snapshot a machine without a starting state.');
+  }
+
+  return {
+    name: this.name,
+    states: this._getNames(this._currentStates),
+    previousStates: this._getNames(this._previousStates),
+    history: this._copyHistory(this._previouslyVisitedStates),
+    context: this._getContext()
+  };
+};
+
+/**
+ * Rehydrate the runtime state of the machine from a `snapshot()` (see
+ * `AwesomeAutomata.restore()`)
+ */
+NondeterministicAutomata.prototype.restore = function restore(snapshot) {
+  var _ = this._;
+  var _this = this;
+
+  if (
+    !snapshot || !(snapshot.states instanceof Array) ||
+    !(snapshot.previousStates instanceof Array) || !(snapshot.history instanceof Array)
+  ) {
+    this._throwFatalError('Cannot restore an invalid snapshot.');
+  }
+
+  if (snapshot.name !== this.name) {
+    this._throwFatalError(
+      'Cannot restore a snapshot of the machine: "' + snapshot.name + '".'
+    );
+  }
+
+  var names = snapshot.states.concat(
+    snapshot.previousStates,
+    _.flatten(_.pluck(snapshot.history, 'states'))
+  );
+
+  _.forEach(names, function (name) {
+    if (!_this._states[name]) {
+      _this._throwFatalError(
+        'Cannot restore the snapshot, the state: "' + name + '" does not exist.'
+      );
+    }
+  });
+
+  var lookup = function (name) {
+    return _this._states[name];
+  };
+
+  this._currentStates = snapshot.states.map(lookup);
+  this._previousStates = snapshot.previousStates.map(lookup);
+  this._previouslyVisitedStates = this._copyHistory(snapshot.history);
+  this._setContext(snapshot.context);
+
+  this.emit('restore', this.getCurrentState());
+  return this;
+};
+
+/**
+ * `rewind()` and `rewindTo()` only support deterministic machines
+ */
+NondeterministicAutomata.prototype.rewindTo = function rewindTo() {
+  this._throwFatalError('rewindTo() is not supported by nondeterministic machines.');
+};
+
+/**
+ * Convert the machine into an equivalent deterministic AwesomeAutomata using
+ * the subset construction.  Only supported when every transition (other than
+ * epsilon transitions) uses primitive criteria and no state has `onEnter` or
+ * `onExit` hooks.
+ *
+ * Every state of the new machine represents a set of states of this machine:
+ * it keeps the name of the original state when the set has a single state and
+ * is named `{a,b}` otherwise.  A set is terminal if it contains a terminal
+ * state (its outgoing transitions are dropped since the machine resets there).
+ * When several original states or transitions have accept functions, the new
+ * one returns the first value that is not undefined.
+ */
+NondeterministicAutomata.prototype.toDeterministic = function toDeterministic() {
+  var _ = this._;
+  var _this = this;
+  var configs = [];
+  var known = {};
+  var queue = [];
+  var dfa;
+
+  if (!this._rootNode) {
+    this._throwFatalError('Cannot convert a machine without a starting state.');
+  }
+
+  _.forEach(this._states, function (state) {
+    // The hooks are called whenever a state starts being active, which cannot
+    // be expressed with the states of a deterministic machine
+    if (state.onEnter || state.onExit) {
+      _this._throwFatalError(
+        'Cannot convert the state "' + state.getName() + '" to a ' +
+        'deterministic machine, onEnter and onExit hooks are not supported.'
+      );
+    }
+
+    _.forEach(state.getTransitions(), function (transition) {
+      if (!State.isEpsilon(transition) && !State.isPrimitive(transition)) {
+        _this._throwFatalError(
+          'Cannot convert the state "' + state.getName() + '" to a ' +
+          'deterministic machine, only primitive criteria are supported.'
+        );
+      }
+    });
+  });
+
+  // Sets of states are always sorted by `_closure()` so the same set always
+  // gets the same name
+  var visit = function (states) {
+    var names = _this._getNames(states);
+    var subset = {
+      name: names.length === 1 ? names[0] : '{' + names.join(',') + '}',
+      states: states
+    };
+
+    if (!known[subset.name]) {
+      known[subset.name] = true;
+      queue.push(subset);
+    }
+
+    return subset.name;
+  };
+
+  visit(this._closure([this._rootNode]));
+
+  while (queue.length) {
+    var subset = queue.shift();
+    var isTerminal = _.some(subset.states, function (state) {
+      return state.isTerminal();
+    });
+    var config = {
+      name: subset.name,
+      isInitial: configs.length === 0,
+      isTerminal: isTerminal,
+      accept: this._combineAccept(_.pluck(subset.states, 'accept'))
+    };
+
+    if (!isTerminal) {
+      config.outgoingTransitions = this._getSubsetTransitions(subset.states, visit);
+    }
+
+    configs.push(config);
+  }
+
+  dfa = new AwesomeAutomata({
+    name: this.name,
+    debug: this.debug,
+    maxHistory: this._maxHistory,
+    resetAtRoot: this._resetAtRoot,
+    strict: this._strict,
+    context: this._initialContext
+  });
+
+  dfa.addStates(configs);
+
+  return dfa;
+};
+
+/**
+ * Build the transitions of a state of the deterministic machine from the
+ * transitions of the set of states it represents.  `visit` registers the
+ * target set and returns its name.
+ */
+NondeterministicAutomata.prototype._getSubsetTransitions = function getSubsetTransitions(states, visit) {
+  var _ = this._;
+  var _this = this;
+  var values = [];
+  var moves = [];
+
+  // Collect every input value in the order it appears
+  _.forEach(states, function (from) {
+    _.forEach(from.getTransitions(), function (transition) {
+      if (!State.isEpsilon(transition)) {
+        moves.push({from: from, transition: transition});
+
+        if (!_.includes(values, transition.criteria.primitive)) {
+          values.push(transition.criteria.primitive);
+        }
+      }
+    });
+  });
+
+  return _.compact(values.map(function (value) {
+    var matching = _.filter(moves, function (move) {
+      return move.transition.criteria.primitive === value;
+    });
+    var targets = _.compact(matching.map(function (move) {
+      return _this._getTarget(move.from, move.transition);
+    }));
+
+    if (!targets.length) {
+      return null;
+    }
+
+    return {
+      state: visit(_this._closure(_.uniq(targets))),
+      criteria: value,
+      accept: _this._combineAccept(_.pluck(_.pluck(matching, 'transition'), 'accept'))
+    };
+  }));
+};
+
+/**
+ * Combine several (possibly undefined) accept functions into one that returns
+ * the first value that is not undefined
+ */
+NondeterministicAutomata.prototype._combineAccept = function combineAccept(accepts) {
+  accepts = this._.filter(accepts, function (accept) {
+    return typeof accept === 'function';
+  });
+
+  if (accepts.length <= 1) {
+    return accepts[0];
+  }
+
+  // Every argument (the input, the history and the context) is passed on
+  return function () {
+    var value;
+
+    for (var i = 0; i < accepts.length && typeof value === 'undefined'; i++) {
+      value = accepts[i].apply(this, arguments);
+    }
+
+    return value;
+  };
+};
+
+
+AwesomeAutomata.NondeterministicAutomata = NondeterministicAutomata;
+
+module.exports = NondeterministicAutomata;
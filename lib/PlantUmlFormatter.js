@@ -0,0 +1,59 @@
+var util = require('util');
+var Formatter = require('./Formatter');
+
+/**
+ * Creates a PlantUML state diagram from an AwesomeAutomata graph.
+ *
+ * The initial state is drawn as `[*] --> state`, terminal states as
+ * `state --> [*]` and every outgoing transition becomes an edge labelled with
+ * its criteria.  States whose names are not plain identifiers are declared
+ * with an alias.
+ */
+function PlantUmlFormatter(fsm, options) {
+  Formatter.call(this, fsm, options);
+}
+
+util.inherits(PlantUmlFormatter, Formatter);
+
+/**
+ * Produce the PlantUML source for the whole graph
+ */
+PlantUmlFormatter.prototype.format = function format() {
+  var _ = this._;
+  var _this = this;
+  var states = this._getStates();
+  var ids = this._getIdentifiers(states);
+  var lines = ['@startuml'];
+
+  _.forEach(ids, function (id, name) {
+    if (id !== name) {
+      lines.push('state "' + name.replace(/"/g, '\'') + '" as ' + id);
+    }
+  });
+
+  _.forEach(states, function (state) {
+    var id = ids[state.getName()];
+
+    if (state.isInitial()) {
+      lines.push('[*] --> ' + id);
+    }
+
+    _.forEach(state.getTransitions(), function (transition) {
+      lines.push(
+        id + ' --> ' + ids[transition.state] + ' : ' +
+        _this._getInlineLabel(transition)
+      );
+    });
+
+    if (state.isTerminal()) {
+      lines.push(id + ' --> [*]');
+    }
+  });
+
+  lines.push('@enduml');
+
+  return lines.join('\n') + '\n';
+};
+
+
+module.exports = PlantUmlFormatter;
@@ -0,0 +1,374 @@
+var State = require('./State');
+var Matcher = require('./Matcher');
+
+/**
+ * Converts machines to and from declarative JSON definitions, which can be
+ * stored in files or sent over the wire.
+ *
+ * A definition holds the machine options and an array of state configurations
+ * where every function is referenced by name from a registry of functions
+ * provided by the caller:
+ *
+ *   {
+ *     name: 'lexer',
+ *     maxHistory: 10,
+ *     states: [
+ *       {name: 'start', isInitial: true, outgoingTransitions: [
+ *         {state: 'word', criteria: {ref: 'isLetter'}, accept: 'startWord'},
+ *         {state: 'end', criteria: '.'}
+ *       ]},
+ *       {name: 'end', isTerminal: true, accept: 'emitToken'},
+ *       ...
+ *     ]
+ *   }
+ *
+ * Criteria functions are referenced as `{ref: 'name'}` (primitive criteria
+ * stay literal).  Matchers (see Matcher) are written as they are, except that
+ * regular expressions are written as their source (and `flags`) and criteria
+ * functions used as operands are referenced as `{ref: 'name'}`.  Accept
+ * functions and `onEnter` and `onExit` hooks are referenced directly by name.
+ * The `assign` updaters of a transition are either referenced by name or are
+ * an object whose updater functions are referenced as `{ref: 'name'}` (other
+ * values stay literal).  The initial `context` must be JSON-serialisable.
+ */
+function Serializer(registry) {
+  this._ = require('lodash');
+
+  this._registry = registry || {};
+}
+
+// The machine options that are part of a definition
+Serializer.OPTIONS = ['name', 'maxHistory', 'resetAtRoot', 'strict', 'onUnmatched', 'context'];
+
+/**
+ * Create a machine from a definition (or its JSON string) using the given
+ * constructor
+ */
+Serializer.prototype.load = function load(definition, Automata) {
+  var _ = this._;
+  var _this = this;
+  var fsm;
+
+  if (typeof definition === 'string') {
+    definition = JSON.parse(definition);
+  }
+
+  if (!definition || !(definition.states instanceof Array)) {
+    throw new Error('[AwesomeAutomata] A definition must have an array of states');
+  }
+
+  fsm = new Automata(_.pick(definition, Serializer.OPTIONS));
+
+  fsm.addStates(_.map(definition.states, function (stateDefinition) {
+    return _this._loadState(stateDefinition);
+  }));
+
+  return fsm;
+};
+
+/**
+ * Create the configuration of a state (and of its nested child states and
+ * the states of its regions) by resolving its function references
+ */
+Serializer.prototype._loadState = function loadState(definition) {
+  var _ = this._;
+  var _this = this;
+  var config = _.clone(definition);
+  var name = definition.name;
+
+  _.forEach(['accept', 'onEnter', 'onExit'], function (key) {
+    if (typeof config[key] !== 'undefined') {
+      config[key] = _this._resolve(config[key], name, 'The ' + key + ' function');
+    }
+  });
+
+  if (config.outgoingTransitions instanceof Array) {
+    config.outgoingTransitions = this._.map(config.outgoingTransitions, function (transition) {
+      transition = _this._.clone(transition);
+
+      if (_this._.isPlainObject(transition.criteria) && transition.criteria.hasOwnProperty('ref')) {
+        transition.criteria = _this._resolve(
+          transition.criteria.ref,
+          name,
+          'The criteria of the transition to state: "' + transition.state + '"'
+        );
+      } else if (Matcher.isDescriptor(transition.criteria)) {
+        transition.criteria = _this._loadMatcher(
+          transition.criteria,
+          name,
+          'The criteria of the transition to state: "' + transition.state + '"'
+        );
+      }
+
+      if (typeof transition.accept !== 'undefined') {
+        transition.accept = _this._resolve(
+          transition.accept,
+          name,
+          'The accept action of the transition to state: "' + transition.state + '"'
+        );
+      }
+
+      if (typeof transition.assign === 'string') {
+        transition.assign = _this._resolve(
+          transition.assign,
+          name,
+          'The assign updater of the transition to state: "' + transition.state + '"'
+        );
+      } else if (_this._.isPlainObject(transition.assign)) {
+        transition.assign = _this._.mapValues(transition.assign, function (updater, key) {
+          if (!_this._.isPlainObject(updater) || !updater.hasOwnProperty('ref')) {
+            return updater;
+          }
+
+          return _this._resolve(
+            updater.ref,
+            name,
+            'The "' + key + '" updater of the transition to state: "' + transition.state + '"'
+          );
+        });
+      }
+
+      return transition;
+    });
+  }
+
+  if (config.states instanceof Array) {
+    config.states = this._.map(config.states, function (stateDefinition) {
+      return _this._loadState(stateDefinition);
+    });
+  }
+
+  if (config.regions instanceof Array) {
+    config.regions = this._.map(config.regions, function (region) {
+      return _this._.assign({}, region, {
+        states: _this._.map(region.states, function (stateDefinition) {
+          return _this._loadState(stateDefinition);
+        })
+      });
+    });
+  }
+
+  return config;
+};
+
+/**
+ * Resolve the function references used as operands of a matcher (and of the
+ * matchers it contains)
+ */
+Serializer.prototype._loadMatcher = function loadMatcher(matcher, stateName, description) {
+  var _this = this;
+
+  var load = function (operand) {
+    if (!Matcher.isDescriptor(operand)) {
+      return operand;
+    }
+
+    if (operand.hasOwnProperty('ref')) {
+      return _this._resolve(operand.ref, stateName, description);
+    }
+
+    return _this._loadMatcher(operand, stateName, description);
+  };
+
+  return this._.mapValues(matcher, function (value, key) {
+    if (key === 'not') {
+      return load(value);
+    }
+
+    return (key === 'and' || key === 'or') ? _this._.map(value, load) : value;
+  });
+};
+
+/**
+ * Look up a function in the registry, throwing an error describing what
+ * referenced it when it is missing.  Only the registry's own properties count
+ * (not the ones inherited from `Object.prototype`, like `constructor`).
+ */
+Serializer.prototype._resolve = function resolve(reference, stateName, description) {
+  if (
+    typeof reference !== 'string' ||
+    !Object.prototype.hasOwnProperty.call(this._registry, reference) ||
+    typeof this._registry[reference] !== 'function'
+  ) {
+    throw new Error(
+      '[AwesomeAutomata:' + stateName + '] ' + description + ' references ' +
+      JSON.stringify(reference) + ', which is not a function in the registry.'
+    );
+  }
+
+  return this._registry[reference];
+};
+
+/**
+ * Create the definition of a machine
+ */
+Serializer.prototype.dump = function dump(fsm) {
+  var _ = this._;
+  var _this = this;
+  var definition = {};
+
+  // The options that are not simply stored with a leading underscore
+  var fields = {name: 'name', context: '_initialContext'};
+
+  _.forEach(Serializer.OPTIONS, function (option) {
+    var value = fsm[fields[option] || '_' + option];
+
+    if (typeof value !== 'undefined') {
+      definition[option] = value;
+    }
+  });
+
+  definition.states = _.map(fsm._states, function (state) {
+    return _this._dumpState(state, fsm);
+  });
+
+  return definition;
+};
+
+/**
+ * Create the definition of a state, replacing functions with their names
+ */
+Serializer.prototype._dumpState = function dumpState(state, fsm) {
+  var _this = this;
+  var name = state.getName();
+  var definition = {name: name};
+
+  if (state.invoke) {
+    throw new Error(
+      '[AwesomeAutomata:' + name + '] The machine invoked by the state cannot be serialized.'
+    );
+  }
+
+  if (state.isInitial()) {
+    definition.isInitial = true;
+  }
+
+  if (state.isTerminal()) {
+    definition.isTerminal = true;
+  }
+
+  // Nested states are written out flat, each one naming its parent
+  if (state.getParent()) {
+    definition.parent = state.getParent();
+  }
+
+  if (state.getInitialState()) {
+    definition.initial = state.getInitialState();
+  }
+
+  if (state.getRegions().length) {
+    definition.regions = this._.map(fsm._regions[name], function (region, regionName) {
+      return {name: regionName, states: _this.dump(region).states};
+    });
+  }
+
+  this._.forEach(['accept', 'onEnter', 'onExit'], function (key) {
+    if (typeof state[key] === 'function') {
+      definition[key] = _this._reference(state[key], name, 'The ' + key + ' function');
+    }
+  });
+
+  if (state.getTransitions()) {
+    definition.outgoingTransitions = this._.map(state.getTransitions(), function (transition) {
+      var description = 'of the transition to state: "' + transition.state + '"';
+      var result = {state: transition.state};
+
+      if (State.isEpsilon(transition)) {
+        result.epsilon = true;
+      } else if (State.isTimed(transition)) {
+        result.after = transition.after;
+      } else if (State.isPrimitive(transition)) {
+        result.criteria = transition.criteria.primitive;
+      } else if (State.isMatcher(transition)) {
+        result.criteria = _this._dumpMatcher(transition.criteria.matcher, name, 'The criteria ' + description);
+      } else {
+        result.criteria = {
+          ref: _this._reference(transition.criteria, name, 'The criteria ' + description)
+        };
+      }
+
+      if (typeof transition.accept === 'function') {
+        result.accept = _this._reference(transition.accept, name, 'The accept action ' + description);
+      }
+
+      if (typeof transition.assign === 'function') {
+        result.assign = _this._reference(transition.assign, name, 'The assign updater ' + description);
+      } else if (transition.assign) {
+        result.assign = _this._.mapValues(transition.assign, function (updater, key) {
+          if (typeof updater !== 'function') {
+            return updater;
+          }
+
+          return {ref: _this._reference(updater, name, 'The "' + key + '" updater ' + description)};
+        });
+      }
+
+      return result;
+    });
+  }
+
+  return definition;
+};
+
+/**
+ * Create the definition of a matcher, writing regular expressions as strings
+ * and referencing the criteria functions used as operands
+ */
+Serializer.prototype._dumpMatcher = function dumpMatcher(matcher, stateName, description) {
+  var _this = this;
+  var definition;
+
+  var dump = function (operand) {
+    if (typeof operand === 'function') {
+      return {ref: _this._reference(operand, stateName, description)};
+    }
+
+    return Matcher.isDescriptor(operand) ? _this._dumpMatcher(operand, stateName, description) : operand;
+  };
+
+  definition = this._.mapValues(matcher, function (value, key) {
+    if (key === 'not') {
+      return dump(value);
+    }
+
+    return (key === 'and' || key === 'or') ? _this._.map(value, dump) : value;
+  });
+
+  if (matcher.regex instanceof RegExp) {
+    definition.regex = matcher.regex.source;
+
+    if (matcher.regex.flags) {
+      definition.flags = matcher.regex.flags;
+    }
+  }
+
+  return definition;
+};
+
+/**
+ * Find the name of a function: either its name in the registry or, if it is
+ * not registered, the name it was declared with.  Anonymous functions (or the
+ * ones named after the `criteria`, `accept`, `assign`, `onEnter` and `onExit`
+ * properties they were assigned to) cannot be referenced.
+ */
+Serializer.prototype._reference = function reference(fn, stateName, description) {
+  var name = this._.findKey(this._registry, function (registered) {
+    return registered === fn;
+  });
+
+  if (name) {
+    return name;
+  }
+
+  if (fn.name && !this._.includes(['criteria', 'accept', 'assign', 'onEnter', 'onExit'], fn.name)) {
+    return fn.name;
+  }
+
+  throw new Error(
+    '[AwesomeAutomata:' + stateName + '] ' + description + ' is an anonymous ' +
+    'function that is not in the registry and cannot be serialized.'
+  );
+};
+
+
+module.exports = Serializer;
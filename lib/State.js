@@ -1,3 +1,5 @@
+var Matcher = require('./Matcher');
+
 /**
  * Represents an automata or state within a Finite State Machine.
  *
@@ -11,28 +13,89 @@ function State(config) {
   this._isTerminal = config.isTerminal;
   this._outgoingTransitions = config.outgoingTransitions;
 
+  // Nesting: the name of the compound state containing this one and, for
+  // compound states, the child state entered along with it
+  this._parent = config.parent;
+  this._initialState = config.initial;
+
+  // Parallel states list the names of their regions, which are run by the
+  // machine
+  this._regions = this._.pluck(config.regions, 'name');
+
   this.accept = config.accept;
 
+  // Lifecycle hooks called whenever the machine enters or leaves the state
+  this.onEnter = config.onEnter;
+  this.onExit = config.onExit;
+
+  // The machine (or the Definition of the machine) that inputs are forwarded
+  // to while this state is active
+  this.invoke = config.invoke;
+
   this._validateConfig(config);
 
   // Transform any value-based transition criteria to be a function
-  this._.forEach(this._outgoingTransitions, function (transition) {
-    var criteria = transition.criteria;
-
-    // Replace the value-based criteria with a simple comparison function
-    if (typeof criteria !== 'function') {
-      transition.criteria = function (input) {
-        return (input === criteria);
-      }
-    }
-  });
+  this._.forEach(this._outgoingTransitions, this._compileCriteria, this);
+
+  this._indexTransitions();
 }
 
+/**
+ * Check whether a transition's criteria was originally a primitive value that
+ * has been replaced with a comparison function.  The original value is
+ * available as `transition.criteria.primitive`.
+ */
+State.isPrimitive = function isPrimitive(transition) {
+  return (
+    typeof transition.criteria === 'function' &&
+    transition.criteria.hasOwnProperty('primitive')
+  );
+};
+
+/**
+ * Check whether a transition's criteria was originally a matcher (see Matcher)
+ * that has been compiled into a function.  The matcher is available as
+ * `transition.criteria.matcher`.
+ */
+State.isMatcher = function isMatcher(transition) {
+  return (
+    typeof transition.criteria === 'function' &&
+    transition.criteria.hasOwnProperty('matcher')
+  );
+};
+
+/**
+ * Check whether a transition is an epsilon transition, which consumes no input
+ * and is only supported by nondeterministic machines
+ */
+State.isEpsilon = function isEpsilon(transition) {
+  return !!transition.epsilon;
+};
+
+/**
+ * Check whether a transition is a timed transition, which is taken on its own
+ * once the state has been active for `transition.after` milliseconds instead
+ * of matching inputs
+ */
+State.isTimed = function isTimed(transition) {
+  return typeof transition.after !== 'undefined';
+};
+
+/**
+ * Check whether a transition is a done transition, which is taken on its own
+ * once the machine invoked by the state has finished
+ */
+State.isDone = function isDone(transition) {
+  return !!transition.done;
+};
+
 /**
  * Ensure that the configuration for this state is valid using a static class
  * method
  */
 State.prototype._validateConfig = function validateConfig(config) {
+  var _ = this._;
+
   if (!config.name || typeof config.name !== 'string') {
     throw new Error('[AwesomeAutomata] States must have a name');
   }
@@ -51,50 +114,325 @@ State.prototype._validateConfig = function validateConfig(config) {
     );
   }
 
+  if (config.parent && typeof config.parent !== 'string') {
+    throw new Error(
+      '[AwesomeAutomata:' + config.name + '] ' +
+      'The parent of a state must be specified by name.'
+    );
+  }
+
+  if (config.parent === config.name) {
+    throw new Error(
+      '[AwesomeAutomata:' + config.name + '] ' +
+      'A state cannot be its own parent.'
+    );
+  }
+
+  if (config.states && !(config.states instanceof Array)) {
+    throw new Error(
+      '[AwesomeAutomata:' + config.name + '] ' +
+      'A state\'s child states must be specified by an array.'
+    );
+  }
+
+  if (config.states && config.states.length && !config.initial) {
+    throw new Error(
+      '[AwesomeAutomata:' + config.name + '] ' +
+      'States with child states must specify their initial child state.'
+    );
+  }
+
+  if (config.initial && typeof config.initial !== 'string') {
+    throw new Error(
+      '[AwesomeAutomata:' + config.name + '] ' +
+      'The initial child state must be specified by name.'
+    );
+  }
+
+  if (config.initial && config.isTerminal) {
+    throw new Error(
+      '[AwesomeAutomata:' + config.name + '] ' +
+      'Terminal states cannot have child states.'
+    );
+  }
+
+  if (config.regions) {
+    this._validateRegions(config);
+  }
+
+  if (config.invoke) {
+    this._validateInvoke(config);
+  }
+
   // Check that all of the outgoing transitions have some sort of comparison to
   // validate input transitioning to the next state
-  this._.forEach(config.outgoingTransitions, function (transition) {
-    if (!transition.state || typeof transition.state !== 'string') {
+  this._.forEach(config.outgoingTransitions, this._validateTransition, this);
+
+
+  if (config.isTerminal && config.outgoingTransitions) {
+    throw new Error(
+      '[AwesomeAutomata:' + config.name + '] ' +
+      'States cannot be terminal and have outgoing transitions'
+    );
+  }
+
+  if (config.accept && typeof config.accept !== 'function') {
+    throw new Error(
+      '[AwesomeAutomata:' + config.name + '] ' +
+      'Accept methods within a state must be a function'
+    );
+  }
+
+  _.forEach(['onEnter', 'onExit'], function (hook) {
+    if (config[hook] && typeof config[hook] !== 'function') {
       throw new Error(
         '[AwesomeAutomata:' + config.name + '] ' +
-        'All outgoing transitions must have a target state ' +
-        'specified by name.'
+        'The ' + hook + ' hook of a state must be a function'
       );
     }
+  });
+};
 
-    if (!transition.criteria) {
+/**
+ * Ensure that an outgoing transition has a target state and some sort of
+ * comparison (or is an epsilon or timed transition)
+ */
+State.prototype._validateTransition = function validateTransition(transition) {
+  var matcherError;
+
+  if (!transition || !transition.state || typeof transition.state !== 'string') {
+    throw new Error(
+      '[AwesomeAutomata:' + this._name + '] ' +
+      'All outgoing transitions must have a target state ' +
+      'specified by name.'
+    );
+  }
+
+  if (transition.epsilon) {
+    if (transition.criteria || transition.accept || transition.assign) {
       throw new Error(
-        '[AwesomeAutomata:' + config.name + '] ' +
-        'All outgoing transitions must have some criteria for' +
-        'transition. The following did not have one transition: ' + transition.state
+        '[AwesomeAutomata:' + this._name + '] ' +
+        'The epsilon transition to state: "' + transition.state + '" is ' +
+        'invalid.  Epsilon transitions cannot have criteria, an accept ' +
+        'action or assign updaters.'
       );
     }
 
-    if (transition.accept && typeof transition.accept !== 'function') {
+    return;
+  }
+
+  if (State.isDone(transition)) {
+    if (!this.invoke || transition.criteria || State.isTimed(transition)) {
       throw new Error(
-        '[AwesomeAutomata:' + config.name + '] ' +
-        'The transition to state: "' + transition.state + '" is invalid. ' +
-        'The accept property must be a function.'
+        '[AwesomeAutomata:' + this._name + '] ' +
+        'The done transition to state: "' + transition.state + '" is ' +
+        'invalid.  Only states that invoke a machine can have done ' +
+        'transitions, which cannot have criteria or a delay.'
       );
     }
-  });
+  } else if (State.isTimed(transition)) {
+    if (typeof transition.after !== 'number' || !(transition.after >= 0) || transition.criteria) {
+      throw new Error(
+        '[AwesomeAutomata:' + this._name + '] ' +
+        'The timed transition to state: "' + transition.state + '" is ' +
+        'invalid.  Timed transitions must have a delay in milliseconds ' +
+        'and cannot have criteria.'
+      );
+    }
+  } else if (!transition.criteria) {
+    throw new Error(
+      '[AwesomeAutomata:' + this._name + '] ' +
+      'All outgoing transitions must have some criteria for' +
+      'transition. The following did not have one transition: ' + transition.state
+    );
+  }
 
+  matcherError = Matcher.isDescriptor(transition.criteria) && new Matcher(transition.criteria).getError();
 
-  if (config.isTerminal && config.outgoingTransitions) {
+  if (matcherError) {
+    throw new Error(
+      '[AwesomeAutomata:' + this._name + '] ' +
+      'The transition to state: "' + transition.state + '" is invalid. ' +
+      matcherError
+    );
+  }
+
+  if (transition.accept && typeof transition.accept !== 'function') {
+    throw new Error(
+      '[AwesomeAutomata:' + this._name + '] ' +
+      'The transition to state: "' + transition.state + '" is invalid. ' +
+      'The accept property must be a function.'
+    );
+  }
+
+  if (
+    transition.assign &&
+    typeof transition.assign !== 'function' &&
+    !this._.isPlainObject(transition.assign)
+  ) {
+    throw new Error(
+      '[AwesomeAutomata:' + this._name + '] ' +
+      'The transition to state: "' + transition.state + '" is invalid. ' +
+      'The assign property must be a function or an object of updaters.'
+    );
+  }
+};
+
+/**
+ * Transform value-based transition criteria into a function.  Matchers are
+ * compiled into a function which keeps the matcher as its `matcher` property.
+ */
+State.prototype._compileCriteria = function compileCriteria(transition) {
+  var criteria = transition.criteria;
+
+  if (Matcher.isDescriptor(criteria)) {
+    transition.criteria = new Matcher(criteria).compile();
+    return;
+  }
+
+  // Replace the value-based criteria with a simple comparison function.  The
+  // original value is kept on the function so the graph can still be
+  // inspected (by the formatters, for example).  Epsilon and timed
+  // transitions do not have any criteria, and neither do done transitions.
+  if (
+    typeof criteria !== 'function' &&
+    !State.isEpsilon(transition) &&
+    !State.isTimed(transition) &&
+    !State.isDone(transition)
+  ) {
+    transition.criteria = function (input) {
+      return (input === criteria);
+    };
+
+    transition.criteria.primitive = criteria;
+  }
+};
+
+/**
+ * Ensure that a state invokes a machine (anything with a `next()` method) or
+ * a Definition, and is a simple state
+ */
+State.prototype._validateInvoke = function validateInvoke(config) {
+  var invoke = config.invoke;
+
+  if (typeof invoke.next !== 'function' && typeof invoke.createInstance !== 'function') {
     throw new Error(
       '[AwesomeAutomata:' + config.name + '] ' +
-      'States cannot be terminal and have outgoing transitions'
+      'A state can only invoke a machine or a Definition.'
     );
   }
 
-  if (config.accept && typeof config.accept !== 'function') {
+  if (config.isTerminal || config.initial || config.states || config.regions) {
     throw new Error(
       '[AwesomeAutomata:' + config.name + '] ' +
-      'Accept methods within a state must be a function'
+      'States that invoke a machine cannot be terminal or have child states or regions.'
     );
   }
 };
 
+/**
+ * Ensure that the regions of a parallel state each have a unique name and an
+ * array of states
+ */
+State.prototype._validateRegions = function validateRegions(config) {
+  var names = [];
+
+  if (!(config.regions instanceof Array) || !config.regions.length) {
+    throw new Error(
+      '[AwesomeAutomata:' + config.name + '] ' +
+      'A state\'s regions must be specified by a non-empty array.'
+    );
+  }
+
+  if (config.isTerminal || config.initial || config.states) {
+    throw new Error(
+      '[AwesomeAutomata:' + config.name + '] ' +
+      'States with regions cannot be terminal or have child states.'
+    );
+  }
+
+  this._.forEach(config.regions, function (region) {
+    if (!region || !region.name || typeof region.name !== 'string') {
+      throw new Error(
+        '[AwesomeAutomata:' + config.name + '] ' +
+        'All regions must have a name.'
+      );
+    }
+
+    if (names.indexOf(region.name) !== -1) {
+      throw new Error(
+        '[AwesomeAutomata:' + config.name + '] ' +
+        'The region "' + region.name + '" has already been defined.'
+      );
+    }
+
+    if (!(region.states instanceof Array)) {
+      throw new Error(
+        '[AwesomeAutomata:' + config.name + '] ' +
+        'The states of the region "' + region.name + '" must be specified by an array.'
+      );
+    }
+
+    names.push(region.name);
+  });
+};
+
+/**
+ * Build the lookup used by `findTransition()`: the position of the first
+ * transition for each primitive criteria value, and the positions of the
+ * transitions whose criteria are functions, which still have to be tested in
+ * order.  A Map is used since it compares its keys like `===` does (except
+ * for `NaN`, which never matches and is left out).  Epsilon, timed and done
+ * transitions do not match inputs and are left out as well.
+ */
+State.prototype._indexTransitions = function indexTransitions() {
+  var _this = this;
+
+  this._index = new Map();
+  this._scanned = [];
+
+  this._.forEach(this._outgoingTransitions, function (transition, position) {
+    var value;
+
+    if (State.isEpsilon(transition) || State.isTimed(transition) || State.isDone(transition)) {
+      return;
+    }
+
+    if (!State.isPrimitive(transition)) {
+      _this._scanned.push(position);
+      return;
+    }
+
+    value = transition.criteria.primitive;
+
+    if (value === value && !_this._index.has(value)) {
+      _this._index.set(value, position);
+    }
+  });
+};
+
+/**
+ * Find the first transition matching an input, exactly like testing every
+ * transition in order would.  The transition of a primitive value is looked
+ * up directly, so only the criteria functions that come before it are called.
+ * Returns undefined when no transition matches.
+ */
+State.prototype.findTransition = function findTransition(input, previousState, context) {
+  var position = this._index.get(input);
+  var scanned = this._scanned;
+  var transition;
+
+  for (var i = 0; i < scanned.length && !(scanned[i] > position); i++) {
+    transition = this._outgoingTransitions[scanned[i]];
+
+    if (transition.criteria(input, previousState, context)) {
+      return transition;
+    }
+  }
+
+  return position === undefined ? undefined : this._outgoingTransitions[position];
+};
+
 /**
  * Getter for the state name
  */
@@ -116,6 +454,29 @@ State.prototype.isTerminal = function isTerminal() {
   return this._isTerminal;
 };
 
+/**
+ * Getter for the name of the compound state containing this state
+ */
+State.prototype.getParent = function getParent() {
+  return this._parent;
+};
+
+/**
+ * Getter for the name of the child state to enter along with this state (only
+ * set for compound states)
+ */
+State.prototype.getInitialState = function getInitialState() {
+  return this._initialState;
+};
+
+/**
+ * Getter for the names of the regions of a parallel state (empty for other
+ * states)
+ */
+State.prototype.getRegions = function getRegions() {
+  return this._regions;
+};
+
 
 /**
  * Return a copy of this state's outgoing transitions
@@ -124,6 +485,46 @@ State.prototype.getTransitions = function getTransitions() {
   return this._outgoingTransitions;
 };
 
+/**
+ * Add an outgoing transition after the existing ones.  The configuration is
+ * copied (the array of transitions is replaced, not modified).  Returns the
+ * transition that was added.
+ */
+State.prototype.addTransition = function addTransition(transitionConfig) {
+  var transition = this._.clone(transitionConfig);
+
+  if (this._isTerminal) {
+    throw new Error(
+      '[AwesomeAutomata:' + this._name + '] ' +
+      'States cannot be terminal and have outgoing transitions'
+    );
+  }
+
+  this._validateTransition(transition);
+  this._compileCriteria(transition);
+
+  this._outgoingTransitions = (this._outgoingTransitions || []).concat([transition]);
+  this._indexTransitions();
+
+  return transition;
+};
+
+/**
+ * Remove the outgoing transitions matching a predicate, either a function
+ * receiving each transition or an object of properties like `{state: 'name'}`.
+ * Returns the transitions that were removed.
+ */
+State.prototype.removeTransitions = function removeTransitions(predicate) {
+  var removed = this._.filter(this._outgoingTransitions, predicate);
+
+  if (removed.length) {
+    this._outgoingTransitions = this._.difference(this._outgoingTransitions, removed);
+    this._indexTransitions();
+  }
+
+  return removed;
+};
+
 
 module.exports = State;
 
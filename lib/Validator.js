@@ -0,0 +1,416 @@
+var State = require('./State');
+var Matcher = require('./Matcher');
+
+/**
+ * Statically analyses the graph of an AwesomeAutomata instance.  Meant to be
+ * run once all of the states have been added (especially for graphs that are
+ * built dynamically) so that problems are found before any input is processed.
+ *
+ * The report contains two lists of issues, each issue being an object with a
+ * `type`, the `state` it concerns and a readable `message`:
+ *
+ *   * `errors` - Problems that will cause runtime errors:
+ *     * `missingRoot` - No initial state was defined
+ *     * `danglingTransition` - A transition targets an undefined state (the
+ *       issue also has a `target` property)
+ *     * `deadEnd` - A non-terminal state without outgoing transitions (of its
+ *       own or of its parent states)
+ *     * `missingInitialState` - A compound state does not name one of its
+ *       child states as its `initial` state (or a state without children
+ *       names one)
+ *   * `warnings` - Problems that may be intentional:
+ *     * `unreachableState` - The state cannot be reached from the root node
+ *     * `trappedState` - No terminal or accepting state can be reached from
+ *       the state (expected for circular machines like a stop light)
+ *
+ * The machines of the regions of parallel states are validated as well.  Their
+ * issues have a `region` property with the names of the parallel state and
+ * the region (like `device:power`).
+ */
+function Validator(fsm) {
+  this._ = require('lodash');
+
+  this._fsm = fsm;
+}
+
+/**
+ * Analyse the graph and return the report.  The machine is considered valid
+ * when there are no errors.
+ *
+ * Options:
+ *   * `throw` - Throw an exception describing the errors if the machine is not
+ *     valid
+ */
+Validator.prototype.validate = function validate(options) {
+  options = options || {};
+
+  var _ = this._;
+  var _this = this;
+  var errors = [];
+  var warnings = [];
+  var reachable = this._getReachableStates();
+  var exits = this._getStatesWithExit();
+  var states = this._fsm._states;
+  var children = this._getChildren();
+  var report;
+
+  var issue = function (type, state, message) {
+    return {type: type, state: state, message: message};
+  };
+
+  if (!this._fsm._rootNode) {
+    errors.push(issue('missingRoot', null, 'No initial state has been defined'));
+  }
+
+  _.forEach(states, function (state, name) {
+    var transitions = state.getTransitions() || [];
+
+    transitions.forEach(function (transition) {
+      if (!states[transition.state]) {
+        var dangling = issue(
+          'danglingTransition',
+          name,
+          'The state: "' + name + '" specified an outbound transition that ' +
+            'does not exist: "' + transition.state + '"'
+        );
+
+        dangling.target = transition.state;
+        errors.push(dangling);
+      }
+    });
+
+    if (state.getInitialState() && !_.includes(children[name], state.getInitialState())) {
+      errors.push(issue(
+        'missingInitialState',
+        name,
+        'The initial state of: "' + name + '" is not one of its child states: "' +
+          state.getInitialState() + '"'
+      ));
+    } else if (children[name] && !state.getInitialState()) {
+      errors.push(issue(
+        'missingInitialState',
+        name,
+        'The state: "' + name + '" has child states but no initial state'
+      ));
+    }
+
+    if (
+      !state.isTerminal() &&
+      !children[name] &&
+      !state.getRegions().length &&
+      !_this._getTransitions(state).length
+    ) {
+      errors.push(issue(
+        'deadEnd',
+        name,
+        'The state: "' + name + '" is not terminal but has no outbound transitions'
+      ));
+    } else if (!exits[name]) {
+      warnings.push(issue(
+        'trappedState',
+        name,
+        'No terminal or accepting state can be reached from the state: "' + name + '"'
+      ));
+    }
+
+    if (!reachable[name]) {
+      warnings.push(issue(
+        'unreachableState',
+        name,
+        'The state: "' + name + '" cannot be reached from the initial state'
+      ));
+    }
+  });
+
+  _.forEach(this._fsm._regions, function (regions, name) {
+    _.forEach(regions, function (region, regionName) {
+      var regionReport = new Validator(region).validate();
+      var tag = function (regionIssue) {
+        return _.assign({}, regionIssue, {
+          region: name + ':' + regionName,
+          message: 'In the region "' + regionName + '" of "' + name + '": ' + regionIssue.message
+        });
+      };
+
+      errors.push.apply(errors, regionReport.errors.map(tag));
+      warnings.push.apply(warnings, regionReport.warnings.map(tag));
+    });
+  });
+
+  report = {valid: !errors.length, errors: errors, warnings: warnings};
+
+  if (options.throw && !report.valid) {
+    this._fsm._throwFatalError(
+      'Invalid state machine: ' + _.pluck(errors, 'message').join('; ')
+    );
+  }
+
+  return report;
+};
+
+/**
+ * Look for transitions that make the machine nondeterministic (where the first
+ * matching transition silently wins).  Returns a report with a
+ * `deterministic` flag and a list of `issues`:
+ *
+ *   * `shadowedTransition` - A transition with primitive criteria can never be
+ *     taken because an earlier transition of the state has the same value or
+ *     a matcher (without criteria functions) matching it (the issue has the
+ *     `transition` and `shadowedBy` indexes and the `value`)
+ *   * `ambiguousInput` - An input from the given alphabet matches more than one
+ *     transition of the state (the issue has the `input` and the indexes of
+ *     the matching `transitions`)
+ *
+ * Options:
+ *   * `alphabet` - An array of sample inputs which are tested against every
+ *     transition (except timed and done transitions).  Criteria functions are
+ *     called without a previous state (and with the initial context) and any
+ *     exception they throw counts as not matching.
+ *   * `throw` - Throw an exception describing the issues if the machine is not
+ *     deterministic
+ */
+Validator.prototype.checkDeterminism = function checkDeterminism(options) {
+  options = options || {};
+
+  var _ = this._;
+  var _this = this;
+  var issues = [];
+  var report;
+
+  _.forEach(this._fsm._states, function (state, name) {
+    var transitions = state.getTransitions() || [];
+
+    issues.push.apply(issues, _this._getShadowedTransitions(name, transitions));
+
+    _.forEach(options.alphabet, function (input) {
+      var matching = _this._getMatchingTransitions(transitions, input);
+
+      if (matching.length > 1) {
+        issues.push({
+          type: 'ambiguousInput',
+          state: name,
+          input: input,
+          transitions: matching,
+          message: 'The input: ' + JSON.stringify(input) + ' matches more ' +
+            'than one transition of the state: "' + name + '" (to the ' +
+            'states: ' + matching.map(function (index) {
+              return JSON.stringify(transitions[index].state);
+            }).join(', ') + ')'
+        });
+      }
+    });
+  });
+
+  report = {deterministic: !issues.length, issues: issues};
+
+  if (options.throw && !report.deterministic) {
+    this._fsm._throwFatalError(
+      'Nondeterministic state machine: ' + _.pluck(issues, 'message').join('; ')
+    );
+  }
+
+  return report;
+};
+
+/**
+ * Find the transitions with primitive criteria whose value is already matched
+ * by an earlier transition with primitive criteria or a matcher.  Matchers
+ * using criteria functions are left out since they may depend on more than
+ * the input.
+ */
+Validator.prototype._getShadowedTransitions = function getShadowedTransitions(name, transitions) {
+  var issues = [];
+
+  transitions.forEach(function (transition, index) {
+    if (!State.isPrimitive(transition)) {
+      return;
+    }
+
+    for (var i = 0; i < index; i++) {
+      if (
+        (
+          State.isPrimitive(transitions[i]) &&
+          transitions[i].criteria.primitive === transition.criteria.primitive
+        ) || (
+          State.isMatcher(transitions[i]) &&
+          !new Matcher(transitions[i].criteria.matcher).hasFunctions() &&
+          transitions[i].criteria(transition.criteria.primitive)
+        )
+      ) {
+        issues.push({
+          type: 'shadowedTransition',
+          state: name,
+          transition: index,
+          shadowedBy: i,
+          value: transition.criteria.primitive,
+          message: 'The transition from: "' + name + '" to: "' +
+            transition.state + '" with the value: ' +
+            JSON.stringify(transition.criteria.primitive) + ' is shadowed ' +
+            'by the transition to: "' + transitions[i].state + '"'
+        });
+
+        return;
+      }
+    }
+  });
+
+  return issues;
+};
+
+/**
+ * Find the indexes of all of the transitions that match a sample input
+ */
+Validator.prototype._getMatchingTransitions = function getMatchingTransitions(transitions, input) {
+  var context = this._fsm._initialContext;
+  var matching = [];
+
+  transitions.forEach(function (transition, index) {
+    var matches;
+
+    // Timed and done transitions do not match inputs
+    if (State.isTimed(transition) || State.isDone(transition)) {
+      return;
+    }
+
+    try {
+      matches = transition.criteria(input, null, context);
+    } catch (err) {
+      matches = false;
+    }
+
+    if (matches) {
+      matching.push(index);
+    }
+  });
+
+  return matching;
+};
+
+/**
+ * Find the names of all the states that can be reached from the root node by
+ * following the outgoing transitions.  Entering a compound state also enters
+ * its initial child state, and the parent states of a reachable state are
+ * reachable as well (their transitions apply to it).
+ */
+Validator.prototype._getReachableStates = function getReachableStates() {
+  var states = this._fsm._states;
+  var reachable = {};
+  var entered = {};
+  var queue = [];
+
+  var activate = function (state) {
+    if (state && !reachable[state.getName()]) {
+      reachable[state.getName()] = true;
+      queue.push(state);
+    }
+  };
+
+  var enter = function (state) {
+    if (state && !entered[state.getName()]) {
+      entered[state.getName()] = true;
+      activate(state);
+      enter(states[state.getInitialState()]);
+    }
+  };
+
+  if (this._fsm._rootNode) {
+    enter(this._fsm._rootNode);
+  }
+
+  while (queue.length) {
+    var state = queue.shift();
+
+    this._.forEach(state.getTransitions(), function (transition) {
+      enter(states[transition.state]);
+    });
+
+    activate(states[state.getParent()]);
+  }
+
+  return reachable;
+};
+
+/**
+ * Find the names of all the states that are either terminal or accepting (or
+ * the root node when the machine resets there) or that can reach such a state,
+ * by walking the transitions backwards.  A state can use the transitions of
+ * its parent states, and a compound state leads to its initial child state.
+ * Parallel states count as exits since their regions run on their own.
+ */
+Validator.prototype._getStatesWithExit = function getStatesWithExit() {
+  var _ = this._;
+  var _this = this;
+  var fsm = this._fsm;
+  var incoming = {};
+  var exits = {};
+  var queue = [];
+
+  var link = function (source, target) {
+    incoming[target] = incoming[target] || [];
+    incoming[target].push(source);
+  };
+
+  _.forEach(fsm._states, function (state, name) {
+    _.forEach(_this._getTransitions(state), function (transition) {
+      link(name, transition.state);
+    });
+
+    if (state.getInitialState()) {
+      link(name, state.getInitialState());
+    }
+
+    if (
+      state.isTerminal() ||
+      typeof state.accept === 'function' ||
+      state.getRegions().length ||
+      (state.isInitial() && fsm._resetAtRoot)
+    ) {
+      exits[name] = true;
+      queue.push(name);
+    }
+  });
+
+  while (queue.length) {
+    _.forEach(incoming[queue.shift()], function (source) {
+      if (!exits[source]) {
+        exits[source] = true;
+        queue.push(source);
+      }
+    });
+  }
+
+  return exits;
+};
+
+/**
+ * List the transitions available from a state: its own, followed by the ones
+ * of its parent states
+ */
+Validator.prototype._getTransitions = function getTransitions(state) {
+  var transitions = [];
+
+  this._.forEachRight(this._fsm._getPath(state), function (from) {
+    transitions.push.apply(transitions, from.getTransitions() || []);
+  });
+
+  return transitions;
+};
+
+/**
+ * Group the names of the states by the name of their parent state
+ */
+Validator.prototype._getChildren = function getChildren() {
+  var children = {};
+
+  this._.forEach(this._fsm._states, function (state, name) {
+    if (state.getParent()) {
+      children[state.getParent()] = children[state.getParent()] || [];
+      children[state.getParent()].push(name);
+    }
+  });
+
+  return children;
+};
+
+
+module.exports = Validator;
@@ -0,0 +1,52 @@
+var util = require('util');
+
+/**
+ * The base class of the errors emitted (or thrown) by a running machine.  The
+ * properties given along with the message describe where it happened, like the
+ * name of the `state`, the `input` and a copy of the `history`.
+ */
+function AutomataError(message, properties) {
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+
+  this.name = 'AutomataError';
+  this.message = message;
+
+  for (var key in properties) {
+    if (properties.hasOwnProperty(key)) {
+      this[key] = properties[key];
+    }
+  }
+}
+
+util.inherits(AutomataError, Error);
+
+/**
+ * No transition out of the current `state` matches the `input`
+ */
+function NoTransitionError(message, properties) {
+  AutomataError.call(this, message, properties);
+
+  this.name = 'NoTransitionError';
+}
+
+util.inherits(NoTransitionError, AutomataError);
+
+/**
+ * A transition out of the `state` leads to a `target` state that does not
+ * exist
+ */
+function DanglingTransitionError(message, properties) {
+  AutomataError.call(this, message, properties);
+
+  this.name = 'DanglingTransitionError';
+}
+
+util.inherits(DanglingTransitionError, AutomataError);
+
+
+module.exports = {
+  AutomataError: AutomataError,
+  NoTransitionError: NoTransitionError,
+  DanglingTransitionError: DanglingTransitionError
+};
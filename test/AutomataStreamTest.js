@@ -0,0 +1,146 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var AutomataStream = require('../lib/AutomataStream');
+
+describe('AutomataStream', function () {
+  var createMachine = function () {
+    var fsm = new AwesomeAutomata({
+      name: 'test-machine',
+      debug: false
+    });
+
+    fsm.addStates([
+      {
+        name: 'initialState',
+        isInitial: true,
+        outgoingTransitions: [
+          {state: 'wordState', criteria: 'a', accept: function (input) {
+            return 'start:' + input;
+          }}
+        ]
+      },
+      {
+        name: 'wordState',
+        outgoingTransitions: [
+          {state: 'wordState', criteria: 'a'},
+          {state: 'finalState', criteria: ' '}
+        ]
+      },
+      {
+        name: 'finalState',
+        isTerminal: true,
+        accept: function (input, history) {
+          return 'word:' + (history.length - 2);
+        }
+      }
+    ]);
+
+    return fsm;
+  };
+
+  it('Should be an object-mode Transform stream', function() {
+    var Transform = require('stream').Transform;
+    var stream = new AutomataStream(createMachine());
+
+    expect(stream instanceof Transform).to.equal(true);
+    expect(stream._readableState.objectMode).to.equal(true);
+    expect(stream._writableState.objectMode).to.equal(true);
+  });
+
+  it('Should not modify the options it is given', function() {
+    var options = {highWaterMark: 4};
+    var stream = new AutomataStream(createMachine(), options);
+
+    expect(options).to.deep.equal({highWaterMark: 4});
+    expect(stream._readableState.objectMode).to.equal(true);
+  });
+
+  it('Should skip the null values returned by the machine', function(done) {
+    var fsm = new AwesomeAutomata({name: 'test-machine'});
+    var stream;
+    var output = [];
+
+    fsm.addStates([
+      {name: 'start', isInitial: true, outgoingTransitions: [{state: 'start', criteria: function () {
+        return true;
+      }}], accept: function (input) {
+        return input === 'x' ? input : null;
+      }}
+    ]);
+
+    stream = new AutomataStream(fsm);
+    stream.on('data', function (value) {
+      output.push(value);
+    });
+
+    stream.on('end', function () {
+      expect(output).to.deep.equal(['x', 'x']);
+      done();
+    });
+
+    ['x', 'y', 'x'].forEach(function (chunk) {
+      stream.write(chunk);
+    });
+
+    stream.end();
+  });
+
+  it('Should pass written chunks to next() and push the returned values', function(done) {
+    var stream = new AutomataStream(createMachine());
+    var output = [];
+
+    stream.on('data', function (value) {
+      output.push(value);
+    });
+
+    stream.on('end', function () {
+      expect(output).to.deep.equal(['start:a', 'word:2', 'start:a', 'word:1']);
+      done();
+    });
+
+    ['a', 'a', ' ', 'a', ' '].forEach(function (chunk) {
+      stream.write(chunk);
+    });
+
+    stream.end();
+  });
+
+  it('Should not feed the machine while the readable side is full', function(done) {
+    var fsm = createMachine();
+    var stream = new AutomataStream(fsm, {highWaterMark: 1});
+
+    sinon.spy(fsm, 'next');
+
+    for (var i = 0; i < 10; i++) {
+      stream.write('a');
+    }
+
+    setImmediate(function () {
+      expect(fsm.next.callCount).to.be.below(10);
+
+      stream.resume(); // Drain the stream to let the rest through
+
+      stream.on('end', function () {
+        expect(fsm.next.callCount).to.equal(10);
+        done();
+      });
+
+      stream.end();
+    });
+  });
+
+  it('Should emit machine errors as stream errors', function(done) {
+    var stream = new AutomataStream(createMachine());
+
+    stream.on('error', function (err) {
+      expect(err).to.be.an.instanceof(Error);
+      expect(err.message).to.contain('Cannot find valid transition');
+      done();
+    });
+
+    stream.write('invalid input');
+  });
+});
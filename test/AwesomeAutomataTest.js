@@ -30,6 +30,28 @@ describe('AwesomeAutomata', function () {
     });
   });
 
+  describe('AwesomeAutomata.fromJSON(definition, registry)', function () {
+    it('Should create a machine from a definition referencing functions from a registry', function() {
+      var registry = {
+        isNumber: function (input) {
+          return typeof input === 'number';
+        }
+      };
+      var fsm = AwesomeAutomata.fromJSON({
+        name: 'test-machine',
+        states: [
+          {name: 'initialState', isInitial: true, outgoingTransitions: [
+            {state: 'finalState', criteria: {ref: 'isNumber'}}
+          ]},
+          {name: 'finalState', isTerminal: true}
+        ]
+      }, registry);
+
+      expect(fsm instanceof AwesomeAutomata).to.equal(true);
+      expect(fsm.getState('initialState').getTransitions()[0].criteria).to.equal(registry.isNumber);
+    });
+  });
+
   describe('getCurrentState()', function () {
     it('Should return an object describing the state of the machine and the history of the current run', function () {
       var fsm = new AwesomeAutomata( {
@@ -151,7 +173,7 @@ describe('AwesomeAutomata', function () {
   });
 
   describe('_emitError(msg)', function () {
-    it('Should emit an error event with an Error object', function() {
+    it('Should emit an error event with an AutomataError object', function() {
       var spy = sinon.spy();
       var fsm = new AwesomeAutomata({
         name: 'test-machine',
@@ -162,7 +184,8 @@ describe('AwesomeAutomata', function () {
       fsm._emitError('test error message');
 
       expect(spy.called).to.equal(true);
-      expect(spy.calledWith(new Error('[AwesomeAutomata:test-machine] test error message'))).to.equal(true);
+      expect(spy.firstCall.args[0]).to.be.an.instanceof(AwesomeAutomata.AutomataError);
+      expect(spy.firstCall.args[0].message).to.equal('[AwesomeAutomata:test-machine] test error message');
     });
   });
 
@@ -258,109 +281,1588 @@ describe('AwesomeAutomata', function () {
     });
   });
 
-  describe('next(input[, callback])', function () {
-    var fsm = new AwesomeAutomata({
-      name: 'test-machine',
-      debug: false
+  describe('Changing the graph', function () {
+    var createMachine = function () {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
+        {name: 'start', isInitial: true, outgoingTransitions: [{state: 'word', criteria: 'a'}]},
+        {name: 'word', outgoingTransitions: [{state: 'word', criteria: 'a'}, {state: 'end', criteria: '.'}]},
+        {name: 'end', isTerminal: true},
+        {name: 'unused', outgoingTransitions: [{state: 'end', criteria: '.'}]}
+      ]);
+
+      return fsm;
+    };
+
+    it('Should add a transition to an existing state', function() {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('graphchange', spy);
+      fsm.addTransition('start', {state: 'unused', criteria: 'u'});
+      fsm.next('u');
+
+      expect(fsm.getCurrentState().state).to.equal('unused');
+      expect(spy.args[0][0].type).to.equal('addTransition');
+      expect(spy.args[0][0].state).to.equal('start');
+      expect(spy.args[0][0].transitions[0].state).to.equal('unused');
     });
 
-    before(function() {
+    it('Should refuse transitions from or to states that do not exist', function() {
+      var fsm = createMachine();
+
+      expect(function () {
+        fsm.addTransition('missing', {state: 'word', criteria: 'b'});
+      }).to.throw(Error, 'The state "missing" does not exist.');
+      expect(function () {
+        fsm.addTransition('start', {state: 'missing', criteria: 'b'});
+      }).to.throw(Error, 'cannot have a transition to a state that does not exist: "missing"');
+      expect(function () {
+        fsm.addTransition('start', {state: 'word', epsilon: true});
+      }).to.throw(Error, 'epsilon');
+    });
+
+    it('Should remove the transitions matching a predicate', function() {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('graphchange', spy);
+      fsm.on('error', function () {});
+      fsm.next('a');
+      fsm.removeTransition('word', {state: 'end'});
+      fsm.removeTransition('word', function (transition) { return transition.state === 'missing'; });
+      fsm.next('.');
+
+      expect(fsm.getCurrentState().state).to.equal('start');
+      expect(spy.calledOnce).to.equal(true);
+      expect(spy.args[0][0].type).to.equal('removeTransition');
+      expect(spy.args[0][0].transitions).to.have.length(1);
+    });
+
+    it('Should remove a state that nothing leads to', function() {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('graphchange', spy);
+      fsm.removeState('unused');
+
+      expect(fsm.getState('unused')).to.equal(undefined);
+      expect(spy.calledWith({type: 'removeState', state: 'unused'})).to.equal(true);
+    });
+
+    it('Should refuse to remove the root node, the current state or a state with transitions leading to it', function() {
+      var fsm = createMachine();
+
+      expect(function () { fsm.removeState('start'); }).to.throw(Error, 'Cannot remove the root node: "start"');
+      expect(function () { fsm.removeState('end'); }).to.throw(Error, 'from the states: "word", "unused"');
+
+      fsm.next('a');
+
+      expect(function () { fsm.removeState('word'); }).to.throw(Error, 'Cannot remove the active state: "word"');
+      expect(function () { fsm.removeState('missing'); }).to.throw(Error, 'does not exist');
+    });
+
+    it('Should refuse to remove a compound state before its child states', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
+        {name: 'start', isInitial: true},
+        {name: 'session', initial: 'idle', states: [{name: 'idle'}, {name: 'busy'}]}
+      ]);
+
+      expect(function () { fsm.removeState('session'); }).to.throw(Error, 'before its child states: "idle", "busy"');
+      expect(function () { fsm.removeState('idle'); }).to.throw(Error, 'initial child state of "session"');
+
+      fsm.removeState('busy');
+      expect(fsm.getState('busy')).to.equal(undefined);
+    });
+
+    it('Should replace the definition of the current state', function(done) {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('graphchange', spy);
+      fsm.next('a');
+      fsm.replaceState({name: 'word', accept: function () { return 'replaced'; }, outgoingTransitions: [
+        {state: 'word', criteria: 'b'}
+      ]});
+
+      expect(fsm.getCurrentState().state).to.equal('word');
+      expect(spy.calledWith({type: 'replaceState', state: 'word'})).to.equal(true);
+
+      fsm.next('b', function (err, result) {
+        expect(result.accept).to.equal('replaced');
+        expect(fsm.getState('word').getTransitions()).to.have.length(1);
+        done();
+      });
+    });
+
+    it('Should keep the root node and the parent of a replaced state', function() {
+      var fsm = createMachine();
+
+      expect(function () {
+        fsm.replaceState({name: 'start', outgoingTransitions: [{state: 'word', criteria: 'a'}]});
+      }).to.throw(Error, 'cannot become or stop being the root node');
+      expect(function () {
+        fsm.replaceState({name: 'unused', parent: 'word'});
+      }).to.throw(Error, 'cannot be moved to another parent');
+      expect(function () {
+        fsm.replaceState({name: 'unused', outgoingTransitions: [{state: 'missing', criteria: 'a'}]});
+      }).to.throw(Error, 'does not exist: "missing"');
+
+      fsm.replaceState({name: 'start', isInitial: true, outgoingTransitions: [{state: 'unused', criteria: 'u'}]});
+      fsm.next('u');
+
+      expect(fsm.getCurrentState().state).to.equal('unused');
+    });
+
+    it('Should schedule the timed transitions added to the current state', function() {
+      var clock = new AwesomeAutomata.ManualClock();
+      var fsm = new AwesomeAutomata({name: 'test-machine', clock: clock});
+
+      fsm.addStates([
+        {name: 'start', isInitial: true},
+        {name: 'expired'}
+      ]);
+
+      fsm.addTransition('start', {state: 'expired', after: 1000});
+      clock.tick(1000);
+      expect(fsm.getCurrentState().state).to.equal('expired');
+
+      fsm.addTransition('expired', {state: 'start', after: 1000});
+      fsm.removeTransition('expired', {state: 'start'});
+      clock.tick(1000);
+      expect(fsm.getCurrentState().state).to.equal('expired');
+    });
+  });
+
+  describe('Nested states', function () {
+    // A document made of paragraphs of text, where the escape and newline
+    // transitions are shared by every state of a paragraph
+    var createMachine = function (config) {
+      var fsm = new AwesomeAutomata(config || {name: 'test-machine'});
+
       fsm.addStates([
         {
-          name: 'initialState',
+          name: 'document',
           isInitial: true,
-          outgoingTransitions: [
-            {
-              state: 'middleState',
-              criteria: 'middleState'
-            },
+          initial: 'paragraph',
+          states: [
             {
-              state: 'branchingState',
-              criteria: 10
+              name: 'paragraph',
+              initial: 'text',
+              outgoingTransitions: [
+                {state: 'escaped', criteria: '\\'},
+                {state: 'paragraph', criteria: '\n'}
+              ],
+              states: [
+                {name: 'text', outgoingTransitions: [
+                  {state: 'emphasis', criteria: '*'},
+                  {state: 'text', criteria: function (input) { return input !== '\\' && input !== '\n'; }}
+                ]},
+                {name: 'emphasis', outgoingTransitions: [
+                  {state: 'text', criteria: '*'},
+                  {state: 'emphasis', criteria: function (input) { return input !== '\\' && input !== '\n'; }}
+                ]}
+              ]
             }
           ]
         },
+        {name: 'escaped', parent: 'document', outgoingTransitions: [
+          {state: 'paragraph', criteria: function () { return true; }}
+        ]}
+      ]);
+
+      return fsm;
+    };
+
+    it('Should start in the initial child state of the root node', function() {
+      var currentState = createMachine().getCurrentState();
+
+      expect(currentState.state).to.equal('text');
+      expect(currentState.path).to.deep.equal(['document', 'paragraph', 'text']);
+      expect(currentState.history).to.deep.equal([{state: 'text', input: null}]);
+    });
+
+    it('Should add the child states with their parent', function() {
+      var fsm = createMachine();
+
+      expect(fsm.getState('emphasis').getParent()).to.equal('paragraph');
+      expect(fsm.getState('escaped').getParent()).to.equal('document');
+    });
+
+    it('Should check the transitions of the parent states after the ones of the current state', function() {
+      var fsm = createMachine();
+
+      fsm.next('*');
+      expect(fsm.getCurrentState().path).to.deep.equal(['document', 'paragraph', 'emphasis']);
+
+      fsm.next('\\');
+      expect(fsm.getCurrentState().path).to.deep.equal(['document', 'escaped']);
+    });
+
+    it('Should enter the initial child state of a compound state', function() {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('change', spy);
+      fsm.next('*');
+      fsm.next('\n');
+
+      expect(fsm.getCurrentState().state).to.equal('text');
+      expect(spy.secondCall.args[0].from).to.equal('emphasis');
+      expect(spy.secondCall.args[0].to).to.equal('text');
+    });
+
+    it('Should follow the transitions of the parent states with nextAsync()', function() {
+      var fsm = createMachine();
+
+      return fsm.nextAsync('\\').then(function (result) {
+        expect(result.currentState).to.equal('escaped');
+
+        return fsm.nextAsync('x');
+      }).then(function (result) {
+        expect(result.currentState).to.equal('text');
+      });
+    });
+
+    it('Should reset to the initial child state of the root node', function() {
+      var fsm = createMachine();
+
+      fsm.next('*');
+      fsm.reset();
+
+      expect(fsm.getCurrentState().state).to.equal('text');
+    });
+
+    it('Should enter the initial child state when it is added after its parent', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addState({name: 'parentState', isInitial: true, initial: 'childState'});
+      expect(fsm.getCurrentState().state).to.equal('parentState');
+
+      fsm.addState({name: 'childState', parent: 'parentState', outgoingTransitions: [
+        {state: 'parentState', criteria: 1}
+      ]});
+
+      expect(fsm.getCurrentState().state).to.equal('childState');
+      expect(fsm.getCurrentState().history).to.deep.equal([{state: 'childState', input: null}]);
+    });
+
+    it('Should require the parent state to be added first', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      expect(function () {
+        fsm.addState({name: 'childState', parent: 'parentState'});
+      }).to.throw(Error, 'must be added before it: "parentState"');
+    });
+
+    it('Should not allow nested child states to declare another parent', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      expect(function () {
+        fsm.addState({name: 'parentState', initial: 'childState', states: [
+          {name: 'childState', parent: 'otherState'}
+        ]});
+      }).to.throw(Error, 'cannot have another parent');
+    });
+  });
+
+  describe('Parallel states', function () {
+    // A device with independent power and connectivity modes
+    var createMachine = function () {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
         {
-          name: 'middleState',
-          accept: function() {},
-          outgoingTransitions: [
-            {
-              state: 'finalState', criteria: function () {
-                return true;
-              }
-            }
+          name: 'device',
+          isInitial: true,
+          outgoingTransitions: [{state: 'off', criteria: 'shutdown'}],
+          regions: [
+            {name: 'power', states: [
+              {name: 'battery', isInitial: true, outgoingTransitions: [{state: 'charging', criteria: 'plug'}]},
+              {name: 'charging', accept: function () { return 'charging'; }, outgoingTransitions: [
+                {state: 'battery', criteria: 'unplug'}
+              ]}
+            ]},
+            {name: 'connectivity', states: [
+              {name: 'offline', isInitial: true, outgoingTransitions: [{state: 'online', criteria: 'connect'}]},
+              {name: 'online', outgoingTransitions: [
+                {state: 'offline', criteria: 'disconnect'},
+                {state: 'online', criteria: 'plug'}
+              ]}
+            ]}
           ]
         },
-        {
-          name: 'branchingState',
-          outgoingTransitions: [
-            {
-              state: 'finalState', criteria: function () {
-                return true;
-              }
+        {name: 'off', outgoingTransitions: [{state: 'device', criteria: 'boot'}]}
+      ]);
+
+      return fsm;
+    };
+
+    it('Should report the active state of every region', function() {
+      var fsm = createMachine();
+
+      expect(fsm.getCurrentState().state).to.equal('device');
+      expect(fsm.getCurrentState().regions).to.deep.equal({power: 'battery', connectivity: 'offline'});
+      expect(fsm.getState('device').getRegions()).to.deep.equal(['power', 'connectivity']);
+    });
+
+    it('Should offer every input to every region', function() {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('return', spy);
+      fsm.next('connect');
+      fsm.next('plug');
+
+      expect(fsm.getCurrentState().regions).to.deep.equal({power: 'charging', connectivity: 'online'});
+      expect(fsm.getCurrentState().history).to.deep.equal([{state: 'device', input: null}]);
+      expect(spy.calledWith('charging')).to.equal(true);
+    });
+
+    it('Should emit "change" events tagged with the region', function() {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('change', spy);
+      fsm.next('plug');
+
+      expect(spy.calledOnce).to.equal(true);
+      expect(spy.firstCall.args[0].region).to.equal('power');
+      expect(spy.firstCall.args[0].from).to.equal('battery');
+      expect(spy.firstCall.args[0].to).to.equal('charging');
+    });
+
+    it('Should pass the results of the regions to the callback', function(done) {
+      var fsm = createMachine();
+
+      fsm.next('plug', function (err, result) {
+        expect(result.currentState).to.equal('device');
+        expect(result.regions.power.accept).to.equal('charging');
+        expect(result.regions).to.not.have.ownProperty('connectivity');
+        done();
+      });
+    });
+
+    it('Should use the transitions of the parallel state when no region matches', function() {
+      var fsm = createMachine();
+
+      fsm.next('plug');
+      fsm.next('shutdown');
+      expect(fsm.getCurrentState().state).to.equal('off');
+      expect(fsm.getCurrentState()).to.not.have.ownProperty('regions');
+
+      fsm.next('boot');
+      expect(fsm.getCurrentState().regions).to.deep.equal({power: 'battery', connectivity: 'offline'});
+    });
+
+    it('Should offer every input to every region with nextAsync()', function() {
+      var fsm = createMachine();
+
+      return fsm.nextAsync('connect').then(function () {
+        return fsm.nextAsync('plug');
+      }).then(function (result) {
+        expect(result.regions.power.currentState).to.equal('charging');
+        expect(result.regions.connectivity.currentState).to.equal('online');
+
+        return fsm.nextAsync('shutdown');
+      }).then(function (result) {
+        expect(result.currentState).to.equal('off');
+      });
+    });
+
+    it('Should capture and restore the state of the regions', function() {
+      var fsm = createMachine();
+      var restored = createMachine();
+
+      fsm.next('plug');
+      restored.restore(JSON.parse(JSON.stringify(fsm.snapshot())));
+
+      expect(restored.getCurrentState()).to.deep.equal(fsm.getCurrentState());
+    });
+
+    it('Should require every region to have an initial state', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      expect(function () {
+        fsm.addState({name: 'device', isInitial: true, regions: [{name: 'power', states: [{name: 'battery'}]}]});
+      }).to.throw(Error, 'The region "power" of the state "device" does not have an initial state');
+    });
+  });
+
+  describe('Context', function () {
+    // A vending machine that keeps the running total of the inserted coins
+    var createMachine = function () {
+      var fsm = new AwesomeAutomata({name: 'test-machine', context: {total: 0, coins: 0}});
+
+      fsm.addStates([
+        {name: 'idle', isInitial: true, outgoingTransitions: [
+          {
+            state: 'paying',
+            criteria: function (input) { return typeof input === 'number'; },
+            assign: {
+              total: function (context, input) { return context.total + input; },
+              coins: function (context) { return context.coins + 1; }
             }
-          ]
-        },
-        {
-          name: 'finalState',
-          isTerminal: true
-        }
+          }
+        ]},
+        {name: 'paying', outgoingTransitions: [
+          {
+            state: 'vending',
+            criteria: function (input, previousState, context) { return context.total >= 100; },
+            assign: function (context) { return {total: context.total - 100, coins: 0}; },
+            accept: function (input, history, context) { return 'change: ' + context.total; }
+          },
+          {
+            state: 'paying',
+            criteria: function (input) { return typeof input === 'number'; },
+            assign: {
+              total: function (context, input) { return context.total + input; },
+              coins: function (context) { return context.coins + 1; }
+            }
+          }
+        ]},
+        {name: 'vending', isTerminal: true, accept: function (input, history, context) {
+          return context;
+        }}
+      ]);
+
+      return fsm;
+    };
+
+    it('Should pass the context to the criteria and accept functions', function() {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('return', spy);
+      [50, 25, 50, 'vend'].forEach(function (input) {
+        fsm.next(input);
+      });
+
+      expect(spy.args).to.deep.equal([['change: 25'], [{total: 25, coins: 0}]]);
+    });
+
+    it('Should replace the context with the assign updaters without modifying it', function() {
+      var fsm = createMachine();
+      var initial = fsm.getCurrentState().context;
+
+      fsm.next(50);
+      fsm.next(25);
+
+      expect(fsm.getCurrentState().context).to.deep.equal({total: 75, coins: 2});
+      expect(initial).to.deep.equal({total: 0, coins: 0});
+    });
+
+    it('Should include the context in the "change" events', function() {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('change', spy);
+      fsm.next(50);
+
+      expect(spy.firstCall.args[0].context).to.deep.equal({total: 50, coins: 1});
+    });
+
+    it('Should include the final context in the reset result and start over from the initial context', function() {
+      var fsm = createMachine();
+      var resetValue;
+
+      fsm.next(50);
+      resetValue = fsm.reset();
+
+      expect(resetValue.context).to.deep.equal({total: 50, coins: 1});
+      expect(fsm.getCurrentState().context).to.deep.equal({total: 0, coins: 0});
+    });
+
+    it('Should update the context with nextAsync()', function() {
+      var fsm = createMachine();
+
+      return fsm.nextAsync(50).then(function (result) {
+        expect(result.transition.context).to.deep.equal({total: 50, coins: 1});
+        expect(fsm.getCurrentState().context).to.deep.equal({total: 50, coins: 1});
+      });
+    });
+
+    it('Should share the context with the regions of parallel states', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine', context: {presses: 0}});
+
+      fsm.addState({name: 'device', isInitial: true, regions: [
+        {name: 'button', states: [
+          {name: 'up', isInitial: true, outgoingTransitions: [
+            {state: 'up', criteria: 'press', assign: {presses: function (context) { return context.presses + 1; }}}
+          ]}
+        ]}
+      ]});
+
+      fsm.next('press');
+      fsm.next('press');
+
+      expect(fsm.getCurrentState().context).to.deep.equal({presses: 2});
+    });
+
+    it('Should capture and restore the context', function() {
+      var fsm = createMachine();
+      var restored = createMachine();
+
+      fsm.next(50);
+      restored.restore(fsm.snapshot());
+
+      expect(restored.getCurrentState().context).to.deep.equal({total: 50, coins: 1});
+    });
+  });
+
+  describe('onEnter and onExit hooks', function () {
+    var createMachine = function (log) {
+      var fsm = new AwesomeAutomata({name: 'test-machine', context: {count: 0}});
+      var withHooks = function (config) {
+        config.onEnter = function (input, info) {
+          log.push('enter ' + info.state + ' (' + info.from + ' -> ' + info.to + ', ' + info.context.count + ')');
+        };
+        config.onExit = function (input, info) {
+          log.push('exit ' + info.state + ' (' + info.from + ' -> ' + info.to + ', ' + info.context.count + ')');
+        };
+
+        return config;
+      };
+
+      fsm.addStates([
+        withHooks({name: 'idle', isInitial: true, outgoingTransitions: [
+          {
+            state: 'running',
+            criteria: 'start',
+            assign: {count: function (context) { return context.count + 1; }},
+            accept: function () { log.push('action'); }
+          },
+          {state: 'idle', criteria: 'noop'}
+        ]}),
+        withHooks({name: 'running', initial: 'fast', outgoingTransitions: [
+          {state: 'idle', criteria: 'stop'}
+        ]}),
+        withHooks({name: 'fast', parent: 'running', outgoingTransitions: [
+          {state: 'slow', criteria: 'slow'}
+        ]}),
+        withHooks({name: 'slow', parent: 'running', accept: function () { log.push('accept'); }, outgoingTransitions: [
+          {state: 'done', criteria: 'done'}
+        ]}),
+        {name: 'done', isTerminal: true}
+      ]);
+
+      fsm.on('change', function () {
+        log.push('change');
+      });
+
+      return fsm;
+    };
+
+    it('Should call the exit hook, the transition action and then the enter hooks', function() {
+      var log = [];
+      var fsm = createMachine(log);
+
+      fsm.next('start');
+
+      expect(log).to.deep.equal([
+        'exit idle (idle -> fast, 0)',
+        'action',
+        'change',
+        'enter running (idle -> fast, 1)',
+        'enter fast (idle -> fast, 1)'
+      ]);
+    });
+
+    it('Should only leave and enter the states below the common parent state', function() {
+      var log = [];
+      var fsm = createMachine(log);
+
+      fsm.next('start');
+      log.length = 0;
+      fsm.next('slow');
+
+      expect(log).to.deep.equal([
+        'exit fast (fast -> slow, 1)',
+        'change',
+        'enter slow (fast -> slow, 1)',
+        'accept'
+      ]);
+
+      log.length = 0;
+      fsm.next('stop');
+
+      expect(log).to.deep.equal([
+        'exit slow (slow -> idle, 1)',
+        'exit running (slow -> idle, 1)',
+        'change',
+        'enter idle (slow -> idle, 1)'
+      ]);
+    });
+
+    it('Should leave and enter a state that transitions to itself', function() {
+      var log = [];
+      var fsm = createMachine(log);
+
+      fsm.next('noop');
+
+      expect(log).to.deep.equal(['exit idle (idle -> idle, 0)', 'change', 'enter idle (idle -> idle, 0)']);
+    });
+
+    it('Should call the hooks when the machine is reset', function() {
+      var log = [];
+      var fsm = createMachine(log);
+      var spy = sinon.spy();
+
+      fsm.next('start');
+      fsm.on('enter', spy);
+      log.length = 0;
+      fsm.reset();
+
+      expect(log).to.deep.equal([
+        'exit fast (fast -> idle, 1)',
+        'exit running (fast -> idle, 1)',
+        'enter idle (fast -> idle, 0)'
       ]);
+      expect(spy.firstCall.args[0].reset).to.equal(true);
+    });
+
+    it('Should emit "exit" and "enter" events', function() {
+      var fsm = createMachine([]);
+      var exitSpy = sinon.spy();
+      var enterSpy = sinon.spy();
+
+      fsm.on('exit', exitSpy);
+      fsm.on('enter', enterSpy);
+      fsm.next('start');
+
+      expect(exitSpy.args.map(function (args) { return args[0].state; })).to.deep.equal(['idle']);
+      expect(enterSpy.args.map(function (args) { return args[0].state; })).to.deep.equal(['running', 'fast']);
+      expect(enterSpy.firstCall.args[0].input).to.equal('start');
+    });
+
+    it('Should call the hooks in the same order with nextAsync()', function() {
+      var log = [];
+      var fsm = createMachine(log);
+
+      return fsm.nextAsync('start').then(function () {
+        expect(log).to.deep.equal([
+          'exit idle (idle -> fast, 0)',
+          'action',
+          'change',
+          'enter running (idle -> fast, 1)',
+          'enter fast (idle -> fast, 1)'
+        ]);
+      });
+    });
+
+    it('Should leave and enter the states of the regions along with their parallel state', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+      var spy = sinon.spy();
+
+      fsm.addStates([
+        {name: 'off', isInitial: true, outgoingTransitions: [{state: 'device', criteria: 'boot'}]},
+        {name: 'device', outgoingTransitions: [{state: 'off', criteria: 'shutdown'}], regions: [
+          {name: 'power', states: [
+            {name: 'battery', isInitial: true, outgoingTransitions: [{state: 'battery', criteria: 'tick'}]}
+          ]}
+        ]}
+      ]);
+
+      fsm.on('enter', spy);
+      fsm.on('exit', spy);
+      fsm.next('boot');
+      fsm.next('shutdown');
+
+      expect(spy.args.map(function (args) {
+        return (args[0].region ? args[0].region + ':' : '') + args[0].state;
+      })).to.deep.equal(['off', 'device', 'power:battery', 'power:battery', 'device', 'off']);
+    });
+  });
+
+  describe('Timed transitions', function () {
+    var createMachine = function (clock) {
+      var fsm = new AwesomeAutomata({name: 'stoplight', clock: clock});
+
+      fsm.addStates([
+        {name: 'red', isInitial: true, outgoingTransitions: [
+          {state: 'green', after: 3000},
+          {state: 'flashing', criteria: 'fault'}
+        ]},
+        {name: 'green', outgoingTransitions: [{state: 'yellow', after: 3000}]},
+        {name: 'yellow', outgoingTransitions: [{state: 'red', after: 1000}]},
+        {name: 'flashing', outgoingTransitions: [{state: 'red', criteria: 'repaired'}]}
+      ]);
+
+      return fsm;
+    };
+
+    it('Should take a timed transition once its state has been active for the delay', function() {
+      var clock = new AwesomeAutomata.ManualClock();
+      var fsm = createMachine(clock);
+
+      clock.tick(2999);
+      expect(fsm.getCurrentState().state).to.equal('red');
+
+      clock.tick(1);
+      expect(fsm.getCurrentState().state).to.equal('green');
+
+      clock.tick(4000);
+      expect(fsm.getCurrentState().state).to.equal('red');
+      expect(fsm.getCurrentState().history.map(function (entry) {
+        return entry.state;
+      })).to.deep.equal(['red', 'green', 'yellow', 'red']);
+    });
+
+    it('Should emit "change" events for timed transitions', function() {
+      var clock = new AwesomeAutomata.ManualClock();
+      var fsm = createMachine(clock);
+      var spy = sinon.spy();
+
+      fsm.on('change', spy);
+      clock.tick(3000);
+
+      expect(spy.calledOnce).to.equal(true);
+      expect(spy.firstCall.args[0].from).to.equal('red');
+      expect(spy.firstCall.args[0].to).to.equal('green');
+      expect(spy.firstCall.args[0].input).to.equal(null);
+    });
+
+    it('Should cancel the timers of a state when it is left', function() {
+      var clock = new AwesomeAutomata.ManualClock();
+      var fsm = createMachine(clock);
+
+      clock.tick(2000);
+      fsm.next('fault');
+      clock.tick(5000);
+      expect(fsm.getCurrentState().state).to.equal('flashing');
+
+      // The timer starts over when the state is entered again
+      fsm.next('repaired');
+      clock.tick(2000);
+      expect(fsm.getCurrentState().state).to.equal('red');
+      clock.tick(1000);
+      expect(fsm.getCurrentState().state).to.equal('green');
+    });
+
+    it('Should cancel the timers when the machine is reset', function() {
+      var clock = new AwesomeAutomata.ManualClock();
+      var fsm = createMachine(clock);
+
+      clock.tick(3000);
+      clock.tick(2000);
+      fsm.reset();
+      clock.tick(2000);
+      expect(fsm.getCurrentState().state).to.equal('red');
+      clock.tick(1000);
+      expect(fsm.getCurrentState().state).to.equal('green');
+    });
+
+    it('Should not match timed transitions against inputs', function() {
+      var clock = new AwesomeAutomata.ManualClock();
+      var fsm = createMachine(clock);
+      var spy = sinon.spy();
+
+      fsm.on('error', spy);
+      fsm.next(3000, function () {});
+
+      expect(spy.calledOnce).to.equal(true);
+      expect(fsm.getCurrentState().state).to.equal('red');
+    });
+
+    it('Should keep the timers of a parent state while moving between its child states', function() {
+      var clock = new AwesomeAutomata.ManualClock();
+      var fsm = new AwesomeAutomata({name: 'test-machine', clock: clock});
+
+      fsm.addStates([
+        {name: 'session', isInitial: true, initial: 'idle', outgoingTransitions: [
+          {state: 'expired', after: 1000}
+        ], states: [
+          {name: 'idle', outgoingTransitions: [{state: 'busy', criteria: 'work'}]},
+          {name: 'busy', outgoingTransitions: [{state: 'idle', criteria: 'rest'}]}
+        ]},
+        {name: 'expired', outgoingTransitions: [{state: 'session', criteria: 'login'}]}
+      ]);
+
+      clock.tick(500);
+      fsm.next('work');
+      clock.tick(500);
+
+      expect(fsm.getCurrentState().state).to.equal('expired');
+    });
+
+    it('Should only start the timers of a region when its parallel state is entered', function() {
+      var clock = new AwesomeAutomata.ManualClock();
+      var fsm = new AwesomeAutomata({name: 'test-machine', clock: clock});
+
+      fsm.addStates([
+        {name: 'off', isInitial: true, outgoingTransitions: [{state: 'device', criteria: 'boot'}]},
+        {name: 'device', outgoingTransitions: [{state: 'off', criteria: 'shutdown'}], regions: [
+          {name: 'screen', states: [
+            {name: 'lit', isInitial: true, outgoingTransitions: [{state: 'dimmed', after: 1000}]},
+            {name: 'dimmed', outgoingTransitions: [{state: 'lit', criteria: 'touch'}]}
+          ]}
+        ]}
+      ]);
+
+      clock.tick(1000);
+      fsm.next('boot');
+      expect(fsm.getCurrentState().regions).to.deep.equal({screen: 'lit'});
+
+      clock.tick(1000);
+      expect(fsm.getCurrentState().regions).to.deep.equal({screen: 'dimmed'});
+    });
+
+    it('Should restart the timers of the active states when a snapshot is restored', function() {
+      var clock = new AwesomeAutomata.ManualClock();
+      var fsm = createMachine(clock);
+      var restored = createMachine(clock);
+
+      clock.tick(3000);
+      restored.restore(fsm.snapshot());
+      clock.tick(2000);
+      expect(restored.getCurrentState().state).to.equal('green');
+
+      clock.tick(1000);
+      expect(restored.getCurrentState().state).to.equal('yellow');
+    });
+  });
+
+  describe('Invoked machines', function () {
+    var isDigit = function (input) {
+      return /^[0-9]$/.test(input);
+    };
+
+    var pinStates = [
+      {name: 'empty', isInitial: true, outgoingTransitions: [{state: 'digit', criteria: isDigit}]},
+      {name: 'digit', accept: function (input) {
+        return input;
+      }, outgoingTransitions: [
+        {state: 'digit', criteria: isDigit},
+        {state: 'entered', criteria: '#'}
+      ]},
+      {name: 'entered', isTerminal: true}
+    ];
+
+    var createMachine = function (invoke) {
+      var fsm = new AwesomeAutomata({name: 'door'});
+
+      fsm.addStates([
+        {name: 'locked', isInitial: true, outgoingTransitions: [{state: 'pin', criteria: 'unlock'}]},
+        {name: 'pin', invoke: invoke, outgoingTransitions: [
+          {state: 'open', done: true, accept: function (values) {
+            return values.join('');
+          }},
+          {state: 'locked', criteria: 'cancel'}
+        ]},
+        {name: 'open', outgoingTransitions: [{state: 'locked', criteria: 'lock'}]}
+      ]);
+
+      return fsm;
+    };
+
+    var createPin = function () {
+      var pin = new AwesomeAutomata({name: 'pin'});
+
+      pin.addStates(pinStates);
+      return pin;
+    };
+
+    it('Should forward the inputs to the invoked machine while the state is active', function() {
+      var pin = createPin();
+      var fsm = createMachine(pin);
+      var result;
+
+      fsm.next('unlock');
+      fsm.next('1');
+      fsm._process('2');
+      result = fsm._process('3');
+
+      expect(fsm.getCurrentState().state).to.equal('pin');
+      expect(pin.getCurrentState().state).to.equal('digit');
+      expect(result.currentState).to.equal('pin');
+      expect(result.invoked.currentState).to.equal('digit');
+      expect(result.invoked.accept).to.equal('3');
+    });
+
+    it('Should take the done transition with the values returned by the invoked machine', function() {
+      var fsm = createMachine(createPin());
+      var result;
+
+      fsm.next('unlock');
+      fsm.next('1');
+      fsm.next('2');
+      result = fsm._process('#');
+
+      expect(fsm.getCurrentState().state).to.equal('open');
+      expect(result.transition.action).to.equal('12');
+      expect(result.invoked.reset.finalState).to.equal('entered');
+      expect(fsm.getCurrentState().history.map(function (entry) {
+        return entry.input;
+      })).to.deep.equal([null, 'unlock', ['1', '2']]);
+    });
+
+    it('Should emit the "return" events of the invoked machine with its path', function() {
+      var fsm = createMachine(createPin());
+      var spy = sinon.spy();
+
+      fsm.on('return', spy);
+      fsm.next('unlock');
+      fsm.next('4');
+      fsm.next('#');
+
+      expect(spy.args).to.deep.equal([['4', ['pin']], ['4']]);
+    });
+
+    it('Should emit the "error" events of the invoked machine with its path', function() {
+      var pin = new AwesomeAutomata({name: 'pin'});
+      var fsm = createMachine(pin);
+      var spy = sinon.spy();
+
+      pin.addStates([{name: 'empty', isInitial: true, outgoingTransitions: [{state: 'missing', criteria: 'x'}]}]);
+      fsm.on('error', spy);
+      fsm.next('unlock');
+      fsm.next('x');
+
+      expect(spy.firstCall.args[0]).to.be.an.instanceof(AwesomeAutomata.DanglingTransitionError);
+      expect(spy.firstCall.args[1]).to.deep.equal(['pin']);
+    });
+
+    it('Should fall back to the transitions of the state and stop the invoked machine when it is left', function() {
+      var pin = createPin();
+      var fsm = createMachine(pin);
+      var spy = sinon.spy();
+
+      fsm.on('return', spy);
+      fsm.next('unlock');
+      fsm.next('cancel');
+
+      expect(fsm.getCurrentState().state).to.equal('locked');
+      expect(pin.listeners('return')).to.have.length(0);
+
+      pin.next('1');
+      expect(spy.called).to.equal(false);
+    });
+
+    it('Should reset an invoked machine whenever the state is entered', function() {
+      var pin = createPin();
+      var fsm = createMachine(pin);
+
+      fsm.next('unlock');
+      fsm.next('1');
+      fsm.next('cancel');
+      fsm.next('unlock');
+
+      expect(pin.getCurrentState().state).to.equal('empty');
+    });
+
+    it('Should create a new machine from an invoked Definition whenever the state is entered', function() {
+      var definition = new AwesomeAutomata.Definition({states: pinStates});
+      var first = createMachine(definition);
+      var second = createMachine(definition);
+
+      first.next('unlock');
+      second.next('unlock');
+      first.next('1');
+
+      expect(first._children.pin.machine.name).to.equal('door:pin');
+      expect(first._children.pin.machine.getCurrentState().state).to.equal('digit');
+      expect(second._children.pin.machine.getCurrentState().state).to.equal('empty');
+    });
+
+    it('Should emit the path of nested invoked machines', function() {
+      var definition = new AwesomeAutomata.Definition({states: [
+        {name: 'idle', isInitial: true, outgoingTransitions: [{state: 'pin', criteria: 'unlock'}]},
+        {name: 'pin', invoke: new AwesomeAutomata.Definition({states: pinStates}), outgoingTransitions: []}
+      ]});
+      var fsm = createMachine(definition);
+      var spy = sinon.spy();
+
+      fsm.on('return', spy);
+      fsm.next('unlock');
+      fsm.next('unlock');
+      fsm.next('7');
+
+      expect(spy.args).to.deep.equal([['7', ['pin', 'pin']]]);
+    });
+
+    it('Should forward the inputs to the invoked machine with nextAsync()', function() {
+      var fsm = createMachine(createPin());
+
+      return fsm.nextAsync('unlock').then(function () {
+        return fsm.nextAsync('5');
+      }).then(function (result) {
+        expect(result.invoked.accept).to.equal('5');
+        return fsm.nextAsync('#');
+      }).then(function (result) {
+        expect(fsm.getCurrentState().state).to.equal('open');
+        expect(result.transition.action).to.equal('5');
+      });
+    });
+  });
+
+  describe('Unmatched inputs', function () {
+    var createMachine = function (onUnmatched) {
+      var fsm = new AwesomeAutomata({name: 'test-machine', onUnmatched: onUnmatched});
+
+      fsm.addStates([
+        {name: 'start', isInitial: true, outgoingTransitions: [{state: 'word', criteria: 'a'}]},
+        {name: 'word', outgoingTransitions: [{state: 'word', criteria: 'a'}, {state: 'broken', criteria: 'b'}]},
+        {name: 'recovery', accept: function (input) { return 'recovered from ' + input; }, outgoingTransitions: [
+          {state: 'word', criteria: 'a'}
+        ]}
+      ]);
+
+      return fsm;
+    };
+
+    it('Should emit a NoTransitionError describing the input', function() {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('error', spy);
+      fsm.next('a');
+      fsm.next('c');
+
+      expect(spy.calledOnce).to.equal(true);
+      expect(spy.args[0][0]).to.be.an.instanceof(AwesomeAutomata.NoTransitionError);
+      expect(spy.args[0][0].message).to.equal(
+        '[AwesomeAutomata:test-machine] Cannot find valid transition from: "word" with input: "c"'
+      );
+      expect(spy.args[0][0].state).to.equal('word');
+      expect(spy.args[0][0].input).to.equal('c');
+      expect(spy.args[0][0].history).to.deep.equal([{state: 'start', input: null}, {state: 'word', input: 'a'}]);
+    });
+
+    it('Should emit a DanglingTransitionError for a transition to a missing state', function() {
+      var fsm = createMachine('stay');
+      var spy = sinon.spy();
+
+      fsm.on('error', spy);
+      fsm.next('a');
+      fsm.next('b');
+
+      expect(spy.args[0][0]).to.be.an.instanceof(AwesomeAutomata.DanglingTransitionError);
+      expect(spy.args[0][0].state).to.equal('word');
+      expect(spy.args[0][0].input).to.equal('b');
+      expect(spy.args[0][0].target).to.equal('broken');
+      expect(spy.args[1][0]).to.be.an.instanceof(AwesomeAutomata.NoTransitionError);
+    });
+
+    it('Should reset the machine by default, without requiring a callback', function(done) {
+      var fsm = createMachine();
+
+      fsm.on('error', function () {});
+      fsm.next('a');
+      fsm.next('c');
+
+      expect(fsm.getCurrentState().state).to.equal('start');
+
+      fsm.next('a').next('c', function (err, result) {
+        expect(result.reset.history).to.deep.equal([{state: 'start', input: null}, {state: 'word', input: 'a'}]);
+        done();
+      });
+    });
+
+    it('Should stay in the current state with the "stay" policy', function(done) {
+      var fsm = createMachine('stay');
+      var spy = sinon.spy();
+
+      fsm.on('error', spy);
+      fsm.next('a').next('c', function (err, result) {
+        expect(spy.calledOnce).to.equal(true);
+        expect(result).to.deep.equal({currentState: 'word', history: [{state: 'start', input: null}, {state: 'word', input: 'a'}]});
+        expect(fsm.getCurrentState().state).to.equal('word');
+        done();
+      });
+    });
+
+    it('Should ignore the input without an error with the "skip" policy', function() {
+      var fsm = createMachine('skip');
+      var spy = sinon.spy();
+
+      fsm.on('error', spy);
+      fsm.next('a').next('c').next('a');
+
+      expect(spy.called).to.equal(false);
+      expect(fsm.getCurrentState().history).to.deep.equal([
+        {state: 'start', input: null},
+        {state: 'word', input: 'a'},
+        {state: 'word', input: 'a'}
+      ]);
+    });
+
+    it('Should throw the error with the "throw" policy', function() {
+      var fsm = createMachine('throw');
+      var spy = sinon.spy();
+
+      fsm.on('error', spy);
+      fsm.next('a');
+
+      expect(function () { fsm.next('c'); }).to.throw(AwesomeAutomata.NoTransitionError, 'with input: "c"');
+      expect(spy.called).to.equal(false);
+      expect(fsm.getCurrentState().state).to.equal('word');
+    });
+
+    it('Should go to the named state with any other policy', function(done) {
+      var fsm = createMachine('recovery');
+      var returnSpy = sinon.spy();
+      var errorSpy = sinon.spy();
+
+      fsm.on('return', returnSpy);
+      fsm.on('error', errorSpy);
+      fsm.next('a').next('c', function (err, result) {
+        expect(errorSpy.calledOnce).to.equal(true);
+        expect(returnSpy.calledWith('recovered from c')).to.equal(true);
+        expect(result.currentState).to.equal('recovery');
+        expect(result.transition.from).to.equal('word');
+
+        fsm.next('a');
+        expect(fsm.getCurrentState().state).to.equal('word');
+        done();
+      });
+    });
+
+    it('Should throw if the named state does not exist', function() {
+      var fsm = createMachine('missing');
+
+      fsm.on('error', function () {});
+
+      expect(function () { fsm.next('c'); }).to.throw(Error, 'The onUnmatched state "missing" does not exist.');
+    });
+
+    it('Should reject an invalid policy', function() {
+      expect(function () { createMachine(true); }).to.throw(Error, 'The onUnmatched option must be');
+    });
+
+    it('Should apply the policy to nextAsync()', function() {
+      var fsm = createMachine('throw');
+
+      return fsm.nextAsync('c').then(function () {
+        throw new Error('nextAsync() should have been rejected');
+      }, function (err) {
+        expect(err).to.be.an.instanceof(AwesomeAutomata.NoTransitionError);
+        expect(err.state).to.equal('start');
+      });
+    });
+  });
+
+  describe('validate([options])', function () {
+    it('Should return a report of the problems with the graph', function() {
+      var fsm = new AwesomeAutomata({
+        name: 'test-machine',
+        debug: false
+      });
+      var report;
+
+      fsm.addState({
+        name: 'initialState',
+        isInitial: true,
+        outgoingTransitions: [{state: 'missingState', criteria: 10}]
+      });
+
+      report = fsm.validate();
+
+      expect(report.valid).to.equal(false);
+      expect(report.errors[0].type).to.equal('danglingTransition');
+      expect(function () { fsm.validate({throw: true}); }).to.throw(Error);
+    });
+  });
+
+  describe('checkDeterminism([options])', function () {
+    it('Should return a report of the transitions that make the machine nondeterministic', function() {
+      var fsm = new AwesomeAutomata({
+        name: 'test-machine',
+        debug: false
+      });
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [
+          {state: 'finalState', criteria: 10},
+          {state: 'initialState', criteria: 10}
+        ]},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      expect(fsm.checkDeterminism().deterministic).to.equal(false);
+      expect(fsm.checkDeterminism().issues[0].type).to.equal('shadowedTransition');
+    });
+  });
+
+  describe('next(input[, callback])', function () {
+    var fsm = new AwesomeAutomata({
+      name: 'test-machine',
+      debug: false
+    });
+
+    before(function() {
+      fsm.addStates([
+        {
+          name: 'initialState',
+          isInitial: true,
+          outgoingTransitions: [
+            {
+              state: 'middleState',
+              criteria: 'middleState'
+            },
+            {
+              state: 'branchingState',
+              criteria: 10
+            }
+          ]
+        },
+        {
+          name: 'middleState',
+          accept: function() {},
+          outgoingTransitions: [
+            {
+              state: 'finalState', criteria: function () {
+                return true;
+              }
+            }
+          ]
+        },
+        {
+          name: 'branchingState',
+          outgoingTransitions: [
+            {
+              state: 'finalState', criteria: function () {
+                return true;
+              }
+            }
+          ]
+        },
+        {
+          name: 'finalState',
+          isTerminal: true
+        }
+      ]);
+    });
+
+    afterEach(function() {
+      fsm.reset();
+    });
+
+    it('Should transition to the next state based on the input', function() {
+      expect(fsm.getCurrentState().state).to.equal('initialState');
+
+      fsm.next('middleState');
+
+      expect(fsm.getCurrentState().state).to.equal('middleState');
+
+      fsm.reset();
+      fsm.next(10);
+
+      expect(fsm.getCurrentState().state).to.equal('branchingState');
+    });
+
+    it('Should fire a "return" event for any accepting states', function() {
+      var spy = sinon.spy();
+
+      fsm.on('return', spy);
+
+      fsm.next(10);
+      expect(spy.called).to.equal(false);
+
+      fsm.reset();
+      fsm.next('middleState');
+      expect(spy.called).to.equal(true);
+    });
+
+    it('Should reset the machine when a terminal state is reached', function() {
+      expect(fsm.getCurrentState().state).to.equal('initialState');
+
+      fsm.next(10);
+      fsm.next();
+
+      expect(fsm.getCurrentState().state).to.equal('initialState');
+    });
+
+    it('Should emit an "error" when no valid transitions are found', function() {
+      var spy = sinon.spy();
+
+      fsm.on('error', spy);
+      fsm.next('invalidInput');
+
+      expect(spy.called).to.equal(true);
+    });
+
+    it('Should call the callback asynchronously', function(done) {
+      var callbackFn = function() {
+        done();
+      };
+      fsm.next(10, callbackFn);
+    });
+
+    it('Should pass the result to the callback after a null error and return the machine', function(done) {
+      var returned = fsm.next('middleState', function (err, result) {
+        expect(err).to.equal(null);
+        expect(result.currentState).to.equal('middleState');
+        expect(result.transition.from).to.equal('initialState');
+        expect(result.reset).to.equal(undefined);
+        done();
+      });
+
+      expect(returned).to.equal(fsm);
+    });
+
+    it('Should pass the error and the result to the callback asynchronously when no transition matches', function(done) {
+      var machine = new AwesomeAutomata({name: 'test-machine'});
+      var called = false;
+
+      machine.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'initialState', criteria: 'a'}]}
+      ]);
+
+      machine.next('b', function (err, result) {
+        called = true;
+
+        expect(err).to.be.an.instanceof(AwesomeAutomata.NoTransitionError);
+        expect(result.reset.finalState).to.equal('initialState');
+        expect(result.currentState).to.equal('initialState');
+        done();
+      });
+
+      expect(called).to.equal(false);
+    });
+
+    it('Should return the machine for chaining', function() {
+      var machine = new AwesomeAutomata({name: 'test-machine'});
+      var returnSpy = sinon.spy();
+
+      machine.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'counting', criteria: 'a'}]},
+        {name: 'counting', accept: function (input, history) { return history.length; }, outgoingTransitions: [
+          {state: 'counting', criteria: 'a'},
+          {state: 'finalState', criteria: 'b'}
+        ]},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      machine.on('return', returnSpy);
+
+      expect(machine.next('a').next('a')).to.equal(machine);
+      expect(returnSpy.args).to.deep.equal([[2], [3]]);
+      expect(machine.getCurrentState().state).to.equal('counting');
+    });
+
+    it('Should emit the error without a callback even when there are no error listeners', function() {
+      var machine = new AwesomeAutomata({name: 'test-machine'});
+
+      machine.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'initialState', criteria: 'a'}]}
+      ]);
+
+      expect(function () { machine.next('b'); }).to.throw(AwesomeAutomata.NoTransitionError);
+    });
+
+    it('Should not pass an error to the callback when an unmatched input is skipped', function(done) {
+      var machine = new AwesomeAutomata({name: 'test-machine', onUnmatched: 'skip'});
+
+      machine.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'initialState', criteria: 'a'}]}
+      ]);
+
+      machine.next('b', function (err, result) {
+        expect(err).to.equal(null);
+        expect(result.currentState).to.equal('initialState');
+        done();
+      });
+    });
+  });
+
+  describe('nextAsync(input)', function () {
+    var delay = function (value, ms) {
+      return new Promise(function (resolve) {
+        setTimeout(function () { resolve(value); }, ms);
+      });
+    };
+    var calls;
+    var fsm = new AwesomeAutomata({
+      name: 'test-machine',
+      debug: false
+    });
+
+    before(function () {
+      fsm.addStates([
+        {
+          name: 'initialState',
+          isInitial: true,
+          outgoingTransitions: [
+            {
+              state: 'slowState',
+              criteria: function (input) {
+                return delay(input === 'slow', 10);
+              },
+              accept: function (input) {
+                calls.push('transition:' + input);
+                return delay('action', 5);
+              }
+            },
+            {state: 'fastState', criteria: 'fast'}
+          ]
+        },
+        {
+          name: 'slowState',
+          accept: function (input) {
+            calls.push('state:' + input);
+            return delay('accepted', 5);
+          },
+          outgoingTransitions: [
+            {state: 'finalState', criteria: 'end'}
+          ]
+        },
+        {
+          name: 'fastState',
+          outgoingTransitions: [
+            {state: 'finalState', criteria: 'end'}
+          ]
+        },
+        {
+          name: 'finalState',
+          isTerminal: true
+        }
+      ]);
+    });
+
+    beforeEach(function () {
+      calls = [];
     });
 
-    afterEach(function() {
+    afterEach(function () {
       fsm.reset();
     });
 
-    it('Should transition to the next state based on the input', function() {
-      expect(fsm.getCurrentState().state).to.equal('initialState');
+    it('Should wait for Promise-returning criteria before transitioning', function() {
+      return fsm.nextAsync('slow').then(function (result) {
+        expect(fsm.getCurrentState().state).to.equal('slowState');
+        expect(result.currentState).to.equal('slowState');
+        expect(result.transition.from).to.equal('initialState');
+      });
+    });
 
-      fsm.next('middleState');
+    it('Should wait for the transition action and then the state accept function', function() {
+      var spy = sinon.spy();
 
-      expect(fsm.getCurrentState().state).to.equal('middleState');
+      fsm.on('return', spy);
 
-      fsm.reset();
-      fsm.next(10);
+      return fsm.nextAsync('slow').then(function (result) {
+        fsm.removeListener('return', spy);
 
-      expect(fsm.getCurrentState().state).to.equal('branchingState');
+        expect(calls).to.deep.equal(['transition:slow', 'state:slow']);
+        expect(result.transition.action).to.equal('action');
+        expect(result.accept).to.equal('accepted');
+        expect(spy.firstCall.args[0]).to.equal('action');
+        expect(spy.secondCall.args[0]).to.equal('accepted');
+      });
     });
 
-    it('Should fire a "return" event for any accepting states', function() {
-      var spy = sinon.spy();
+    it('Should process concurrent calls one at a time in order', function() {
+      var states = [];
 
-      fsm.on('return', spy);
+      var onChange = function (info) {
+        states.push(info.to);
+      };
 
-      fsm.next(10);
-      expect(spy.called).to.equal(false);
+      fsm.on('change', onChange);
 
-      fsm.reset();
-      fsm.next('middleState');
-      expect(spy.called).to.equal(true);
+      return Promise.all([
+        fsm.nextAsync('slow'),
+        fsm.nextAsync('end')
+      ]).then(function (results) {
+        fsm.removeListener('change', onChange);
+
+        expect(states).to.deep.equal(['slowState', 'finalState']);
+        expect(results[1].reset.finalState).to.equal('finalState');
+        expect(fsm.getCurrentState().state).to.equal('initialState');
+      });
     });
 
-    it('Should reset the machine when a terminal state is reached', function() {
-      expect(fsm.getCurrentState().state).to.equal('initialState');
+    it('Should stay in the state and keep its timers when the transition action fails', function() {
+      var clock = new AwesomeAutomata.ManualClock();
+      var machine = new AwesomeAutomata({name: 'test-machine', clock: clock, context: {attempts: 0}});
+
+      machine.addStates([
+        {name: 'waiting', isInitial: true, outgoingTransitions: [
+          {state: 'sent', criteria: 'send', assign: {attempts: 1}, accept: function () {
+            return Promise.reject(new Error('failed'));
+          }},
+          {state: 'timedOut', after: 1000}
+        ]},
+        {name: 'sent'},
+        {name: 'timedOut'}
+      ]);
 
-      fsm.next(10);
-      fsm.next();
+      return machine.nextAsync('send').then(function () {
+        throw new Error('nextAsync() should have been rejected');
+      }, function (err) {
+        expect(err.message).to.equal('failed');
+        expect(machine.getCurrentState().state).to.equal('waiting');
+        expect(machine.getCurrentState().context).to.deep.equal({attempts: 0});
 
-      expect(fsm.getCurrentState().state).to.equal('initialState');
+        clock.tick(1000);
+        expect(machine.getCurrentState().state).to.equal('timedOut');
+      });
     });
 
-    it('Should emit an "error" when no valid transitions are found', function() {
+    it('Should emit an "error", reset and reject when no valid transitions are found', function() {
       var spy = sinon.spy();
 
       fsm.on('error', spy);
-      fsm.next('invalidInput');
 
-      expect(spy.called).to.equal(true);
+      return fsm.nextAsync('fast').then(function () {
+        return fsm.nextAsync('invalidInput');
+      }).then(function () {
+        throw new Error('nextAsync() should have been rejected');
+      }, function (err) {
+        fsm.removeListener('error', spy);
+
+        expect(spy.calledWith(err)).to.equal(true);
+        expect(err).to.be.an.instanceof(AwesomeAutomata.NoTransitionError);
+        expect(fsm.getCurrentState().state).to.equal('initialState');
+      });
     });
 
-    it('Should call the callback asynchronously', function(done) {
-      var callbackFn = function() {
-        done();
-      };
-      fsm.next(10, callbackFn);
+    it('Should reset and reject without emitting an error when there are no error listeners', function() {
+      return fsm.nextAsync('fast').then(function () {
+        return fsm.nextAsync('invalidInput');
+      }).then(function () {
+        throw new Error('nextAsync() should have been rejected');
+      }, function (err) {
+        expect(err.input).to.equal('invalidInput');
+        expect(fsm.getCurrentState().state).to.equal('initialState');
+      });
+    });
+
+    it('Should emit an "error" in strict mode when more than one transition matches', function() {
+      var strictFsm = new AwesomeAutomata({name: 'test-machine', strict: true});
+      var spy = sinon.spy();
+
+      strictFsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [
+          {state: 'firstState', criteria: function () { return Promise.resolve(true); }},
+          {state: 'secondState', criteria: 'a'}
+        ]},
+        {name: 'firstState'},
+        {name: 'secondState'}
+      ]);
+
+      strictFsm.on('error', spy);
+
+      return strictFsm.nextAsync('a').then(function (result) {
+        expect(result.currentState).to.equal('firstState');
+        expect(spy.calledOnce).to.equal(true);
+      });
+    });
+
+    it('Should keep processing queued inputs after a failed input', function() {
+      var failed = fsm.nextAsync('invalidInput'); // No error listener, so this rejects
+
+      return fsm.nextAsync('fast').then(function () {
+        expect(fsm.getCurrentState().state).to.equal('fastState');
+        return failed.then(function () {
+          throw new Error('Expected the invalid input to fail');
+        }, function (err) {
+          expect(err.message).to.contain('Cannot find valid transition');
+        });
+      });
     });
   });
 
@@ -436,6 +1938,37 @@ describe('AwesomeAutomata', function () {
 
       expect(next.state._name).to.equal('firstMatchingState');
     });
+
+    it('Should emit an "error" in strict mode when more than one transition matches', function() {
+      var spy = sinon.spy();
+      var next;
+
+      fsm._strict = true;
+      fsm.on('error', spy);
+
+      next = fsm._findNextState(10, fsm.getState('initialState'), null);
+
+      fsm._strict = false;
+      fsm.removeListener('error', spy);
+
+      expect(next.state._name).to.equal('firstMatchingState');
+      expect(spy.calledOnce).to.equal(true);
+      expect(spy.firstCall.args[0].message).to.contain('Nondeterministic transition');
+    });
+
+    it('Should not emit an "error" in strict mode when only one transition matches', function() {
+      var spy = sinon.spy();
+
+      fsm._strict = true;
+      fsm.on('error', spy);
+
+      fsm._findNextState(20, fsm.getState('initialState'), null);
+
+      fsm._strict = false;
+      fsm.removeListener('error', spy);
+
+      expect(spy.called).to.equal(false);
+    });
   });
 
   describe('_transition(input, nextState)', function () {
@@ -629,6 +2162,46 @@ describe('AwesomeAutomata', function () {
       expect(acceptValue).to.exist;
       expect(acceptValue.value).to.equal('someValue');
     });
+
+    it('Should emit each value wrapped by AwesomeAutomata.emitAll() and return them', function() {
+      var spy = sinon.spy();
+
+      fsm.on('return', spy);
+
+      expect(fsm._accept(AwesomeAutomata.emitAll(['a', undefined, 'b']))).to.deep.equal(['a', 'b']);
+      expect(spy.args).to.deep.equal([['a'], ['b']]);
+      expect(function () { AwesomeAutomata.emitAll('a'); }).to.throw(Error, 'array');
+    });
+
+    it('Should emit each value yielded by a generator and return them', function() {
+      var spy = sinon.spy();
+      var generate = function* () {
+        yield 'a';
+        yield ['b'];
+      };
+
+      fsm.on('return', spy);
+
+      expect(fsm._accept(generate())).to.deep.equal(['a', ['b']]);
+      expect(spy.args).to.deep.equal([['a'], [['b']]]);
+    });
+
+    it('Should collect the values of accepting states and transition actions in the next() payload', function(done) {
+      var machine = new AwesomeAutomata({name: 'test-machine'});
+
+      machine.addStates([
+        {name: 'text', isInitial: true, outgoingTransitions: [
+          {state: 'text', criteria: ';', accept: function (input, history) {
+            return AwesomeAutomata.emitAll([{type: 'word'}, {type: 'delimiter'}]);
+          }}
+        ]}
+      ]);
+
+      machine.next(';', function (err, result) {
+        expect(result.transition.action).to.deep.equal([{type: 'word'}, {type: 'delimiter'}]);
+        done();
+      });
+    });
   });
 
   describe('reset()', function () {
@@ -758,4 +2331,379 @@ describe('AwesomeAutomata', function () {
       });
     });
   });
+
+  describe('snapshot()', function () {
+    it('Should return a JSON-serialisable copy of the runtime state', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+      var snapshot;
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'middleState', criteria: 'a'}]},
+        {name: 'middleState', outgoingTransitions: [{state: 'middleState', criteria: 'b'}]}
+      ]);
+
+      fsm.next('a');
+      fsm.next('b');
+      snapshot = fsm.snapshot();
+
+      expect(JSON.parse(JSON.stringify(snapshot))).to.deep.equal({
+        name: 'test-machine',
+        state: 'middleState',
+        previousState: 'middleState',
+        history: [
+          {state: 'initialState', input: null},
+          {state: 'middleState', input: 'a'},
+          {state: 'middleState', input: 'b'}
+        ]
+      });
+      expect(snapshot.history).to.not.equal(fsm._previouslyVisitedStates);
+    });
+  });
+
+  describe('restore(snapshot)', function () {
+    var createMachine = function (name) {
+      var fsm = new AwesomeAutomata({name: name || 'test-machine'});
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'middleState', criteria: 'a'}]},
+        {name: 'middleState', outgoingTransitions: [{state: 'finalState', criteria: 'b'}]},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      return fsm;
+    };
+
+    it('Should rehydrate the runtime state of another machine with the same states', function() {
+      var fsm = createMachine();
+      var restored = createMachine();
+      var spy = sinon.spy();
+
+      fsm.next('a');
+
+      restored.on('reset', spy);
+      restored.restore(JSON.parse(JSON.stringify(fsm.snapshot())));
+
+      expect(restored.getCurrentState()).to.deep.equal(fsm.getCurrentState());
+      expect(restored._previousState).to.equal(restored.getState('initialState'));
+
+      restored.next('b');
+      expect(spy.firstCall.args[0].history).to.have.length(3);
+    });
+
+    it('Should emit a "restore" event', function() {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('restore', spy);
+      fsm.restore({name: 'test-machine', state: 'middleState', previousState: null, history: []});
+
+      expect(spy.calledOnce).to.equal(true);
+      expect(spy.firstCall.args[0].state).to.equal('middleState');
+    });
+
+    it('Should refuse snapshots that reference states that do not exist', function() {
+      var fsm = createMachine();
+
+      expect(function () {
+        fsm.restore({name: 'test-machine', state: 'missingState', previousState: null, history: []});
+      }).to.throw(Error, 'missingState');
+
+      expect(function () {
+        fsm.restore({
+          name: 'test-machine',
+          state: 'middleState',
+          previousState: null,
+          history: [{state: 'otherMissingState', input: null}]
+        });
+      }).to.throw(Error, 'otherMissingState');
+
+      expect(fsm.getCurrentState().state).to.equal('initialState');
+    });
+
+    it('Should refuse snapshots of another machine', function() {
+      var snapshot = createMachine('other-machine').snapshot();
+
+      expect(function () { createMachine().restore(snapshot); }).to.throw(Error);
+    });
+  });
+
+  describe('rewind([steps]) and rewindTo(index)', function () {
+    var createMachine = function (options) {
+      var fsm = new AwesomeAutomata(options || {name: 'editor', context: {count: 0}});
+
+      fsm.addStates([
+        {name: 'idle', isInitial: true, outgoingTransitions: [{state: 'typing', criteria: 'key'}]},
+        {name: 'typing', outgoingTransitions: [
+          {state: 'typing', criteria: 'key', assign: {count: function (context) {
+            return context.count + 1;
+          }}},
+          {state: 'saved', criteria: 'save'}
+        ]},
+        {name: 'saved', outgoingTransitions: [{state: 'typing', criteria: 'key'}]}
+      ]);
+
+      return fsm;
+    };
+
+    it('Should go back to the current and previous states of a history entry', function() {
+      var fsm = createMachine();
+
+      fsm.next('key');
+      fsm.next('key');
+      fsm.next('save');
+      fsm.rewind();
+
+      expect(fsm.getCurrentState().state).to.equal('typing');
+      expect(fsm._previousState).to.equal(fsm.getState('typing'));
+      expect(fsm.getCurrentState().history).to.deep.equal([
+        {state: 'idle', input: null},
+        {state: 'typing', input: 'key'},
+        {state: 'typing', input: 'key'}
+      ]);
+
+      fsm.rewindTo(0);
+      expect(fsm.getCurrentState().state).to.equal('idle');
+      expect(fsm._previousState).to.equal(null);
+      expect(fsm.getCurrentState().history).to.have.length(1);
+    });
+
+    it('Should roll back the context', function() {
+      var fsm = createMachine();
+
+      fsm.next('key');
+      fsm.next('key');
+      fsm.next('key');
+      expect(fsm.getCurrentState().context).to.deep.equal({count: 2});
+
+      fsm.rewind(2);
+      expect(fsm.getCurrentState().context).to.deep.equal({count: 0});
+
+      fsm.next('key');
+      expect(fsm.getCurrentState().context).to.deep.equal({count: 1});
+    });
+
+    it('Should emit a "rewind" event with the undone entries', function() {
+      var fsm = createMachine();
+      var spy = sinon.spy();
+
+      fsm.on('rewind', spy);
+      fsm.next('key');
+      fsm.next('save');
+      fsm.rewindTo(1);
+
+      expect(spy.calledOnce).to.equal(true);
+      expect(spy.firstCall.args[0].state).to.equal('typing');
+      expect(spy.firstCall.args[0].undone).to.deep.equal([{state: 'saved', input: 'save'}]);
+    });
+
+    it('Should refuse to rewind past the entries dropped because of the max history', function() {
+      var fsm = createMachine({name: 'editor', maxHistory: 2});
+
+      fsm.next('key');
+      fsm.next('save');
+
+      expect(function () { fsm.rewind(2); }).to.throw(Error, 'max history');
+      expect(fsm.getCurrentState().state).to.equal('saved');
+
+      fsm.rewind(1);
+      expect(fsm.getCurrentState().state).to.equal('typing');
+      expect(fsm._previousState).to.equal(fsm.getState('idle'));
+    });
+
+    it('Should refuse invalid steps and indexes', function() {
+      var fsm = createMachine();
+
+      expect(function () { fsm.rewind(1); }).to.throw(Error, 'start of the history');
+      expect(function () { fsm.rewind(-1); }).to.throw(Error, 'Cannot rewind by');
+      expect(function () { fsm.rewindTo(1); }).to.throw(Error, 'history entry');
+      expect(function () { fsm.rewindTo('0'); }).to.throw(Error, 'history entry');
+    });
+
+    it('Should refuse to rewind past a restored snapshot', function() {
+      var fsm = createMachine();
+      var restored = createMachine();
+
+      fsm.next('key');
+      restored.restore(fsm.snapshot());
+      restored.next('save');
+      restored.rewind();
+
+      expect(restored.getCurrentState().state).to.equal('typing');
+      expect(function () { restored.rewind(); }).to.throw(Error, 'snapshot');
+    });
+
+    it('Should restart the timers of the state that is rewound to', function() {
+      var clock = new AwesomeAutomata.ManualClock();
+      var fsm = new AwesomeAutomata({name: 'editor', clock: clock});
+
+      fsm.addStates([
+        {name: 'idle', isInitial: true, outgoingTransitions: [{state: 'typing', criteria: 'key'}]},
+        {name: 'typing', outgoingTransitions: [{state: 'idle', after: 1000}]}
+      ]);
+
+      fsm.next('key');
+      clock.tick(1000);
+      expect(fsm.getCurrentState().state).to.equal('idle');
+
+      fsm.rewind();
+      clock.tick(999);
+      expect(fsm.getCurrentState().state).to.equal('typing');
+
+      clock.tick(1);
+      expect(fsm.getCurrentState().state).to.equal('idle');
+    });
+
+    it('Should not be supported by nondeterministic machines', function() {
+      expect(function () {
+        new AwesomeAutomata.NondeterministicAutomata({name: 'test-machine'}).rewind();
+      }).to.throw(Error, 'not supported');
+    });
+  });
+
+  describe('minimize()', function () {
+    it('Should return a new machine with equivalent states merged', function() {
+      var fsm = new AwesomeAutomata({
+        name: 'test-machine',
+        debug: false
+      });
+      var result;
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [
+          {state: 'firstState', criteria: 1},
+          {state: 'secondState', criteria: 2}
+        ]},
+        {name: 'firstState', isTerminal: true},
+        {name: 'secondState', isTerminal: true}
+      ]);
+
+      result = fsm.minimize();
+
+      expect(result.automata).to.not.equal(fsm);
+      expect(result.merged).to.deep.equal([['firstState', 'secondState']]);
+    });
+  });
+
+  describe('toDefinition([registry])', function () {
+    it('Should write the machine out as a definition', function() {
+      var isNumber = function (input) {
+        return typeof input === 'number';
+      };
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [
+          {state: 'finalState', criteria: isNumber},
+          {state: 'finalState', criteria: 'a'}
+        ]},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      expect(fsm.toDefinition({isNumber: isNumber})).to.deep.equal({
+        name: 'test-machine',
+        states: [
+          {name: 'initialState', isInitial: true, outgoingTransitions: [
+            {state: 'finalState', criteria: {ref: 'isNumber'}},
+            {state: 'finalState', criteria: 'a'}
+          ]},
+          {name: 'finalState', isTerminal: true}
+        ]
+      });
+    });
+
+    it('Should not be used by JSON.stringify()', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addState({name: 'initialState', isInitial: true, outgoingTransitions: [
+        {state: 'initialState', criteria: function () { return true; }}
+      ]});
+
+      expect(function () {
+        JSON.stringify({session: 1, fsm: fsm});
+      }).to.not.throw();
+    });
+  });
+
+  describe('createStream([options])', function () {
+    it('Should return a stream that feeds the machine', function() {
+      var AutomataStream = require('../lib/AutomataStream');
+      var fsm = new AwesomeAutomata({
+        name: 'test-machine',
+        debug: false
+      });
+      var stream = fsm.createStream();
+
+      expect(stream instanceof AutomataStream).to.equal(true);
+      expect(stream._fsm).to.equal(fsm);
+    });
+  });
+
+  describe('toDot([options])', function () {
+    it('Should return a DOT digraph of the machine', function() {
+      var fsm = new AwesomeAutomata({
+        name: 'test-machine',
+        debug: false
+      });
+
+      fsm.addStates([
+        {
+          name: 'initialState',
+          isInitial: true,
+          outgoingTransitions: [
+            {state: 'finalState', criteria: 10}
+          ]
+        },
+        {
+          name: 'finalState',
+          isTerminal: true
+        }
+      ]);
+
+      expect(fsm.toDot()).to.contain('digraph "test-machine" {');
+      expect(fsm.toDot()).to.contain('"initialState" -> "finalState" [label="10"];');
+    });
+  });
+
+  describe('toMermaid([options])', function () {
+    it('Should return a Mermaid state diagram of the machine', function() {
+      var fsm = new AwesomeAutomata({
+        name: 'test-machine',
+        debug: false
+      });
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'finalState', criteria: 10}]},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      expect(fsm.toMermaid()).to.equal(
+        'stateDiagram-v2\n' +
+        '  [*] --> initialState\n' +
+        '  initialState --> finalState : 10\n' +
+        '  finalState --> [*]\n'
+      );
+    });
+  });
+
+  describe('toPlantUml([options])', function () {
+    it('Should return a PlantUML state diagram of the machine', function() {
+      var fsm = new AwesomeAutomata({
+        name: 'test-machine',
+        debug: false
+      });
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'finalState', criteria: 10}]},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      expect(fsm.toPlantUml()).to.equal(
+        '@startuml\n' +
+        '[*] --> initialState\n' +
+        'initialState --> finalState : 10\n' +
+        'finalState --> [*]\n' +
+        '@enduml\n'
+      );
+    });
+  });
 });
\ No newline at end of file
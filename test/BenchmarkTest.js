@@ -0,0 +1,99 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+
+// Compares the indexed lookup of primitive criteria with testing every
+// transition in order (like `strict` mode does) on a character-level machine,
+// by the number of criteria calls rather than by time
+describe('Benchmark', function () {
+  this.timeout(20000);
+
+  var characters = [];
+  var text = '';
+  var i;
+
+  for (i = 32; i < 127; i++) {
+    characters.push(String.fromCharCode(i));
+  }
+
+  for (i = 0; i < 50000; i++) {
+    text += characters[(i * 7) % characters.length];
+  }
+
+  var createMachine = function () {
+    var fsm = new AwesomeAutomata({name: 'characters'});
+
+    fsm.addState({
+      name: 'start',
+      isInitial: true,
+      outgoingTransitions: characters.map(function (character) {
+        return {state: 'start', criteria: character};
+      })
+    });
+
+    return fsm;
+  };
+
+  // Count the calls to the criteria of every transition of a state
+  var countCalls = function (state) {
+    var calls = {count: 0};
+
+    state.getTransitions().forEach(function (transition) {
+      var criteria = transition.criteria;
+
+      transition.criteria = function () {
+        calls.count++;
+        return criteria.apply(this, arguments);
+      };
+    });
+
+    return calls;
+  };
+
+  it('Should find the transitions of primitive criteria without testing them in order', function() {
+    var fsm = createMachine();
+    var state = fsm.getState('start');
+    var calls = countCalls(state);
+    var scanned;
+
+    var scan = function (input) {
+      var transitions = state.getTransitions();
+
+      for (var j = 0; j < transitions.length; j++) {
+        if (transitions[j].criteria(input, null)) {
+          return transitions[j];
+        }
+      }
+    };
+
+    for (var j = 0; j < text.length; j++) {
+      expect(state.findTransition(text[j], null)).to.equal(scan(text[j]));
+    }
+
+    scanned = calls.count;
+    calls.count = 0;
+
+    for (j = 0; j < text.length; j++) {
+      state.findTransition(text[j], null);
+    }
+
+    expect(scanned).to.be.above(text.length);
+    expect(calls.count).to.equal(0);
+  });
+
+  it('Should process every character with next()', function() {
+    var fsm = createMachine();
+    var count = 0;
+
+    fsm.on('change', function () {
+      count++;
+    });
+
+    for (var j = 0; j < text.length; j++) {
+      fsm.next(text[j]);
+    }
+
+    expect(count).to.equal(text.length);
+  });
+});
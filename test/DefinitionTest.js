@@ -0,0 +1,221 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var NondeterministicAutomata = require('../lib/NondeterministicAutomata');
+var Definition = require('../lib/Definition');
+
+describe('Definition', function () {
+  var createDefinition = function () {
+    return new Definition({
+      name: 'checkout',
+      context: {items: 0},
+      states: [
+        {name: 'cart', isInitial: true, outgoingTransitions: [
+          {state: 'cart', criteria: 'add', assign: {items: function (context) { return context.items + 1; }}},
+          {state: 'payment', criteria: 'pay'}
+        ]},
+        {name: 'payment', outgoingTransitions: [
+          {state: 'paid', criteria: 'confirm'},
+          {state: 'cart', after: 1000}
+        ]},
+        {name: 'paid', isTerminal: true}
+      ]
+    });
+  };
+
+  it('Should be exported by AwesomeAutomata', function() {
+    expect(AwesomeAutomata.Definition).to.equal(Definition);
+  });
+
+  it('Should create machines sharing the same frozen states', function() {
+    var definition = createDefinition();
+    var first = definition.createInstance();
+    var second = definition.createInstance();
+
+    expect(first.getState('cart')).to.equal(second.getState('cart'));
+    expect(first.getState('cart')).to.equal(definition.getState('cart'));
+    expect(Object.isFrozen(definition.getState('cart'))).to.equal(true);
+    expect(Object.isFrozen(definition.getState('cart').getTransitions())).to.equal(true);
+    expect(Object.isFrozen(definition.getState('cart').getTransitions()[0])).to.equal(true);
+  });
+
+  it('Should only validate the states once', function() {
+    var definition;
+    var spy = sinon.spy(require('../lib/State').prototype, '_validateConfig');
+
+    try {
+      definition = createDefinition();
+      definition.createInstance();
+      definition.createInstance();
+    } finally {
+      spy.restore();
+    }
+
+    expect(spy.callCount).to.equal(3);
+  });
+
+  it('Should give every machine its own runtime state, context and listeners', function() {
+    var definition = createDefinition();
+    var first = definition.createInstance();
+    var second = definition.createInstance({name: 'other-checkout', context: {items: 10}});
+    var spy = sinon.spy();
+
+    first.on('change', spy);
+    first.next('add');
+    first.next('pay');
+    second.next('add');
+
+    expect(spy.calledTwice).to.equal(true);
+    expect(first.getCurrentState().state).to.equal('payment');
+    expect(first.getCurrentState().context).to.deep.equal({items: 1});
+    expect(first.getCurrentState().history).to.have.length(3);
+    expect(second.getCurrentState().state).to.equal('cart');
+    expect(second.getCurrentState().context).to.deep.equal({items: 11});
+    expect(second.name).to.equal('other-checkout');
+  });
+
+  it('Should schedule the timed transitions of every machine on its own clock', function() {
+    var definition = createDefinition();
+    var clock = new AwesomeAutomata.ManualClock();
+    var first = definition.createInstance({clock: clock});
+    var second = definition.createInstance({clock: clock});
+
+    first.next('pay');
+    clock.tick(500);
+    second.next('pay');
+    clock.tick(500);
+
+    expect(first.getCurrentState().state).to.equal('cart');
+    expect(second.getCurrentState().state).to.equal('payment');
+  });
+
+  it('Should not schedule the timed transitions of the initial state before a machine is created', function() {
+    var clock = new AwesomeAutomata.ManualClock();
+    var spy = sinon.spy();
+    var definition = new Definition({
+      name: 'splash',
+      clock: clock,
+      states: [
+        {name: 'splash', isInitial: true, outgoingTransitions: [{state: 'home', after: 300}]},
+        {name: 'home', accept: spy}
+      ]
+    });
+    var fsm;
+
+    expect(clock._timers).to.have.length(0);
+
+    clock.tick(300);
+    expect(spy.called).to.equal(false);
+    expect(definition._template.getCurrentState().state).to.equal('splash');
+
+    fsm = definition.createInstance();
+    clock.tick(300);
+    expect(spy.calledOnce).to.equal(true);
+    expect(fsm.getCurrentState().state).to.equal('home');
+  });
+
+  it('Should not allow the graph of the machines to be changed', function() {
+    var fsm = createDefinition().createInstance();
+
+    expect(function () { fsm.addState({name: 'refund'}); }).to.throw(Error, 'shared definition');
+    expect(function () { fsm.removeTransition('cart', {state: 'payment'}); }).to.throw(Error, 'shared definition');
+    expect(fsm.getState('cart').getTransitions()).to.have.length(2);
+  });
+
+  it('Should require an initial state', function() {
+    expect(function () {
+      new Definition({name: 'empty', states: [{name: 'lonely'}]});
+    }).to.throw(Error, '[AwesomeAutomata:empty] A definition must have an initial state.');
+  });
+
+  it('Should create separate machines for the regions of parallel states', function() {
+    var definition = new Definition({
+      name: 'player',
+      states: [
+        {name: 'playing', isInitial: true, regions: [
+          {name: 'audio', states: [
+            {name: 'muted', isInitial: true, outgoingTransitions: [{state: 'audible', criteria: 'unmute'}]},
+            {name: 'audible'}
+          ]}
+        ]}
+      ]
+    });
+    var first = definition.createInstance();
+    var second = definition.createInstance();
+    var spy = sinon.spy();
+
+    first.on('change', spy);
+    first.next('unmute');
+
+    expect(first.getCurrentState().regions).to.deep.equal({audio: 'audible'});
+    expect(second.getCurrentState().regions).to.deep.equal({audio: 'muted'});
+    expect(spy.args[0][0].region).to.equal('audio');
+    expect(first._regions.playing.audio.getState('muted')).to.equal(second._regions.playing.audio.getState('muted'));
+  });
+
+  it('Should only allow states to invoke other definitions', function() {
+    var child = new AwesomeAutomata({name: 'child'});
+
+    child.addState({name: 'start', isInitial: true});
+
+    expect(function () {
+      new Definition({name: 'parent', states: [
+        {name: 'start', isInitial: true, initial: 'waiting', states: [{name: 'waiting', invoke: child}]}
+      ]});
+    }).to.throw(Error, 'can only invoke another definition');
+
+    expect(child.listeners('return')).to.have.length(0);
+  });
+
+  it('Should give every machine its own invoked machines', function() {
+    var child = new Definition({name: 'child', states: [
+      {name: 'start', isInitial: true, outgoingTransitions: [{state: 'end', criteria: function () {
+        return true;
+      }}]},
+      {name: 'end', isTerminal: true, accept: function (input) {
+        return input;
+      }}
+    ]});
+    var definition = new Definition({name: 'parent', states: [
+      {name: 'waiting', isInitial: true, invoke: child, outgoingTransitions: [{state: 'done', done: true}]},
+      {name: 'done'}
+    ]});
+    var first = definition.createInstance();
+    var second = definition.createInstance();
+    var firstSpy = sinon.spy();
+    var secondSpy = sinon.spy();
+
+    first.on('return', firstSpy);
+    second.on('return', secondSpy);
+    first.next('x');
+
+    expect(firstSpy.args).to.deep.equal([['x', ['waiting']]]);
+    expect(secondSpy.called).to.equal(false);
+    expect(first.getCurrentState().history[1].input).to.deep.equal(['x']);
+    expect(second.getCurrentState().state).to.equal('waiting');
+
+    second.next('y');
+    expect(second.getCurrentState().history[1].input).to.deep.equal(['y']);
+  });
+
+  it('Should create nondeterministic machines', function() {
+    var definition = new Definition({
+      name: 'nfa',
+      states: [
+        {name: 'start', isInitial: true, outgoingTransitions: [
+          {state: 'start', criteria: 'a'},
+          {state: 'sawA', criteria: 'a'}
+        ]},
+        {name: 'sawA'}
+      ]
+    }, NondeterministicAutomata);
+    var fsm = definition.createInstance();
+
+    fsm.next('a');
+
+    expect(fsm).to.be.an.instanceof(NondeterministicAutomata);
+    expect(fsm.getCurrentState().states).to.deep.equal(['start', 'sawA']);
+  });
+});
@@ -0,0 +1,105 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var DotFormatter = require('../lib/DotFormatter');
+
+describe('DotFormatter', function () {
+  var fsm = new AwesomeAutomata({
+    name: 'test-machine',
+    debug: false
+  });
+
+  before(function () {
+    fsm.addStates([
+      {
+        name: 'initialState',
+        isInitial: true,
+        outgoingTransitions: [
+          {state: 'acceptingState', criteria: 'a'},
+          {
+            state: 'finalState',
+            criteria: function isNumber(input) {
+              return typeof input === 'number';
+            },
+            accept: function emitNumber(input) {
+              return input;
+            }
+          }
+        ]
+      },
+      {
+        name: 'acceptingState',
+        accept: function () {
+          return true;
+        },
+        outgoingTransitions: [
+          {state: 'finalState', criteria: 10}
+        ]
+      },
+      {
+        name: 'finalState',
+        isTerminal: true
+      },
+      {
+        name: 'orphanState'
+      }
+    ]);
+  });
+
+  describe('format()', function () {
+    it('Should create a DOT digraph named after the machine', function() {
+      var dot = new DotFormatter(fsm).format();
+
+      expect(dot.indexOf('digraph "test-machine" {')).to.equal(0);
+      expect(dot.trim().slice(-1)).to.equal('}');
+    });
+
+    it('Should give initial, terminal and accepting states distinct shapes', function() {
+      var dot = new DotFormatter(fsm).format();
+
+      expect(dot).to.contain('"initialState" [shape=box];');
+      expect(dot).to.contain('"finalState" [shape=doublecircle];');
+      expect(dot).to.contain('"acceptingState" [shape=doubleoctagon];');
+      expect(dot).to.contain('"orphanState" [shape=ellipse];');
+    });
+
+    it('Should allow the shapes to be overridden', function() {
+      var dot = new DotFormatter(fsm, {shapes: {initial: 'point'}}).format();
+
+      expect(dot).to.contain('"initialState" [shape=point];');
+      expect(dot).to.contain('"finalState" [shape=doublecircle];');
+    });
+
+    it('Should label edges with primitive criteria values or the criteria function name', function() {
+      var dot = new DotFormatter(fsm).format();
+
+      expect(dot).to.contain('"initialState" -> "acceptingState" [label="\\"a\\""];');
+      expect(dot).to.contain('"acceptingState" -> "finalState" [label="10"];');
+      expect(dot).to.contain('"initialState" -> "finalState" [label="isNumber / emitNumber"');
+    });
+
+    it('Should mark transitions that carry an accept action', function() {
+      var dot = new DotFormatter(fsm).format();
+
+      expect(dot).to.contain('[label="isNumber / emitNumber", style=bold];');
+      expect(dot).to.not.contain('"acceptingState" -> "finalState" [label="10", style=bold]');
+    });
+
+    it('Should list the states starting from the root node, including unreachable ones', function() {
+      var dot = new DotFormatter(fsm).format();
+
+      expect(dot.indexOf('"initialState" [')).to.be.below(dot.indexOf('"acceptingState" ['));
+      expect(dot.indexOf('"acceptingState" [')).to.be.below(dot.indexOf('"finalState" ['));
+      expect(dot.indexOf('"finalState" [')).to.be.below(dot.indexOf('"orphanState" ['));
+    });
+  });
+
+  describe('_quote(value)', function () {
+    it('Should escape quotes and backslashes', function() {
+      var formatter = new DotFormatter(fsm);
+
+      expect(formatter._quote('a "b" \\c')).to.equal('"a \\"b\\" \\\\c"');
+    });
+  });
+});
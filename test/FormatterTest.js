@@ -0,0 +1,90 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var Formatter = require('../lib/Formatter');
+
+describe('Formatter', function () {
+  var fsm = new AwesomeAutomata({
+    name: 'test-machine',
+    debug: false
+  });
+
+  before(function () {
+    fsm.addStates([
+      {
+        name: 'unreachableState',
+        outgoingTransitions: [
+          {state: 'initialState', criteria: 1}
+        ]
+      },
+      {
+        name: 'initialState',
+        isInitial: true,
+        outgoingTransitions: [
+          {state: 'second state', criteria: 'a'},
+          {state: 'missingState', criteria: function () { return false; }}
+        ]
+      },
+      {
+        name: 'second state'
+      }
+    ]);
+  });
+
+  describe('format()', function () {
+    it('Should have to be implemented by subclasses', function() {
+      expect(function () { new Formatter(fsm).format(); }).to.throw(Error);
+    });
+  });
+
+  describe('_getStates()', function () {
+    it('Should list reachable states from the root node first and unreachable states last', function() {
+      var names = new Formatter(fsm)._getStates().map(function (state) {
+        return state.getName();
+      });
+
+      expect(names).to.deep.equal(['initialState', 'second state', 'unreachableState']);
+    });
+  });
+
+  describe('_getCriteriaLabel(transition)', function () {
+    it('Should use the JSON value of primitive criteria and the name of criteria functions', function() {
+      var formatter = new Formatter(fsm);
+      var transitions = fsm.getState('initialState').getTransitions();
+
+      expect(formatter._getCriteriaLabel(transitions[0])).to.equal('"a"');
+      expect(formatter._getCriteriaLabel(transitions[1])).to.equal('function');
+    });
+
+    it('Should describe matchers', function() {
+      var formatter = new Formatter(fsm);
+      var transition = new AwesomeAutomata().addState({
+        name: 'state',
+        isInitial: true,
+        outgoingTransitions: [{state: 'state', criteria: {not: {oneOf: ['a', 'b']}}}]
+      }).getState('state').getTransitions()[0];
+
+      expect(formatter._getCriteriaLabel(transition)).to.equal('not ["a","b"]');
+    });
+
+    it('Should show the delay of timed transitions', function() {
+      expect(new Formatter(fsm)._getCriteriaLabel({state: 'second state', after: 500})).to.equal('after 500ms');
+    });
+
+    it('Should show done transitions', function() {
+      expect(new Formatter(fsm)._getCriteriaLabel({state: 'second state', done: true})).to.equal('done');
+    });
+  });
+
+  describe('_getIdentifiers(states)', function () {
+    it('Should generate identifiers for names that are not plain identifiers, including undefined targets', function() {
+      var formatter = new Formatter(fsm);
+      var ids = formatter._getIdentifiers(formatter._getStates());
+
+      expect(ids.initialState).to.equal('initialState');
+      expect(ids['second state']).to.match(/^__state\d+$/);
+      expect(ids.missingState).to.equal('missingState');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var NondeterministicAutomata = require('../lib/NondeterministicAutomata');
+var Lexer = require('../lib/Lexer');
+
+describe('Lexer', function () {
+  var createLexer = function () {
+    return new Lexer({
+      name: 'test-lexer',
+      tokens: [
+        {type: 'let', text: 'let'},
+        {type: 'name', pattern: [{regex: /[a-z]/}, {criteria: {regex: /\w/}, repeat: true, optional: true}]},
+        {type: 'number', pattern: [{criteria: {range: ['0', '9']}, repeat: true}]},
+        {type: 'arrow', text: '=>'},
+        {type: 'operator', pattern: [{oneOf: ['+', '=']}]},
+        {type: 'space', pattern: [{criteria: ' ', repeat: true}], ignore: true}
+      ]
+    });
+  };
+
+  var describeTokens = function (tokens) {
+    return tokens.map(function (token) {
+      return token.type + ':' + token.text;
+    });
+  };
+
+  it('Should be exported by AwesomeAutomata', function() {
+    expect(AwesomeAutomata.Lexer).to.equal(Lexer);
+  });
+
+  it('Should build the graph of a nondeterministic machine', function() {
+    var lexer = createLexer();
+
+    expect(lexer._fsm instanceof NondeterministicAutomata).to.equal(true);
+    expect(lexer._fsm.getState('start').getTransitions()).to.have.length(6);
+  });
+
+  describe('tokenize(text)', function () {
+    it('Should emit tokens with their type, text and offsets', function() {
+      expect(createLexer().tokenize('x = 12')).to.deep.equal([
+        {type: 'name', text: 'x', start: 0, end: 1},
+        {type: 'operator', text: '=', start: 2, end: 3},
+        {type: 'number', text: '12', start: 4, end: 6}
+      ]);
+    });
+
+    it('Should prefer the longest match, then the first definition', function() {
+      expect(describeTokens(createLexer().tokenize('let letter = let'))).to.deep.equal([
+        'let:let', 'name:letter', 'operator:=', 'let:let'
+      ]);
+    });
+
+    it('Should backtrack to the end of the longest match', function() {
+      var lexer = new Lexer({tokens: [
+        {type: 'long', text: 'abcd'},
+        {type: 'short', text: 'ab'},
+        {type: 'c', text: 'c'}
+      ]});
+
+      expect(describeTokens(lexer.tokenize('abcab'))).to.deep.equal(['short:ab', 'c:c', 'short:ab']);
+    });
+  });
+
+  describe('write(chunk)', function () {
+    it('Should handle tokens split across chunks', function() {
+      var lexer = createLexer();
+      var spy = sinon.spy();
+
+      lexer.on('token', spy);
+      lexer.write('le');
+      lexer.write('tter =');
+      expect(describeTokens(spy.args.map(function (args) {
+        return args[0];
+      }))).to.deep.equal(['name:letter']);
+
+      lexer.write('> 1');
+      lexer.end('0');
+      expect(spy.args.map(function (args) {
+        return args[0];
+      })).to.deep.equal([
+        {type: 'name', text: 'letter', start: 0, end: 6},
+        {type: 'arrow', text: '=>', start: 7, end: 9},
+        {type: 'number', text: '10', start: 10, end: 12}
+      ]);
+    });
+
+    it('Should emit an error for a character that does not start any token and skip it', function() {
+      var lexer = createLexer();
+      var errorSpy = sinon.spy();
+      var tokens;
+
+      lexer.on('error', errorSpy);
+      tokens = lexer.tokenize('x $y');
+
+      expect(errorSpy.calledOnce).to.equal(true);
+      expect(errorSpy.firstCall.args[0].offset).to.equal(2);
+      expect(errorSpy.firstCall.args[0].character).to.equal('$');
+      expect(tokens).to.deep.equal([
+        {type: 'name', text: 'x', start: 0, end: 1},
+        {type: 'name', text: 'y', start: 3, end: 4}
+      ]);
+    });
+  });
+
+  describe('end([chunk])', function () {
+    it('Should emit the remaining tokens and an "end" event', function() {
+      var lexer = createLexer();
+      var spy = sinon.spy();
+
+      lexer.on('token', spy);
+      lexer.on('end', spy);
+      lexer.write('12');
+      expect(spy.called).to.equal(false);
+
+      lexer.end();
+      expect(spy.args).to.deep.equal([[{type: 'number', text: '12', start: 0, end: 2}], []]);
+    });
+  });
+
+  describe('The constructor', function () {
+    it('Should require token definitions with a type and some text or a pattern', function() {
+      expect(function () { new Lexer(); }).to.throw(Error, 'token definitions');
+      expect(function () { new Lexer({tokens: [{text: 'a'}]}); }).to.throw(Error, 'type');
+      expect(function () { new Lexer({tokens: [{type: 'a', pattern: []}]}); }).to.throw(Error, 'pattern');
+    });
+
+    it('Should not allow tokens that can match an empty string', function() {
+      expect(function () {
+        new Lexer({tokens: [{type: 'a', pattern: [{criteria: 'a', optional: true}]}]});
+      }).to.throw(Error, 'empty string');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var ManualClock = require('../lib/ManualClock');
+
+describe('ManualClock', function () {
+  it('Should be exported by AwesomeAutomata', function() {
+    expect(AwesomeAutomata.ManualClock).to.equal(ManualClock);
+  });
+
+  describe('tick(ms)', function () {
+    it('Should call the timers that are due in the order they are due', function() {
+      var clock = new ManualClock();
+      var calls = [];
+
+      clock.setTimeout(function () { calls.push('second'); }, 20);
+      clock.setTimeout(function () { calls.push('first'); }, 10);
+      clock.setTimeout(function () { calls.push('third'); }, 20);
+      clock.setTimeout(function () { calls.push('later'); }, 21);
+
+      clock.tick(20);
+
+      expect(calls).to.deep.equal(['first', 'second', 'third']);
+      expect(clock.now()).to.equal(20);
+    });
+
+    it('Should call the timers scheduled by other timers if they are due', function() {
+      var clock = new ManualClock();
+      var spy = sinon.spy();
+
+      clock.setTimeout(function () {
+        expect(clock.now()).to.equal(10);
+        clock.setTimeout(spy, 10);
+      }, 10);
+
+      clock.tick(15);
+      expect(spy.called).to.equal(false);
+
+      clock.tick(5);
+      expect(spy.calledOnce).to.equal(true);
+    });
+  });
+
+  describe('clearTimeout(id)', function () {
+    it('Should cancel a pending timer', function() {
+      var clock = new ManualClock();
+      var spy = sinon.spy();
+
+      clock.clearTimeout(clock.setTimeout(spy, 10));
+      clock.tick(10);
+
+      expect(spy.called).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var Matcher = require('../lib/Matcher');
+
+describe('Matcher', function () {
+  var matches = function (descriptor, inputs) {
+    var criteria = new Matcher(descriptor).compile();
+
+    return inputs.map(function (input) {
+      return criteria(input);
+    });
+  };
+
+  describe('Matcher.isDescriptor(value)', function () {
+    it('Should only consider plain objects to be matchers', function() {
+      expect(Matcher.isDescriptor({any: true})).to.equal(true);
+      expect(Matcher.isDescriptor('a')).to.equal(false);
+      expect(Matcher.isDescriptor(null)).to.equal(false);
+      expect(Matcher.isDescriptor(/a/)).to.equal(false);
+      expect(Matcher.isDescriptor(function () {})).to.equal(false);
+    });
+  });
+
+  describe('compile()', function () {
+    it('Should match string inputs against a regex', function() {
+      expect(matches({regex: /^[a-z]$/}, ['a', 'A', 'ab', 1])).to.deep.equal([true, false, false, false]);
+      expect(matches({regex: '^[a-z]$', flags: 'i'}, ['a', 'A'])).to.deep.equal([true, true]);
+    });
+
+    it('Should ignore the global flag of a regex', function() {
+      expect(matches({regex: /a/g}, ['a', 'a', 'a'])).to.deep.equal([true, true, true]);
+    });
+
+    it('Should match inputs of the same type within a range', function() {
+      expect(matches({range: ['0', '9']}, ['0', '5', '9', 'a', 5])).to.deep.equal([true, true, true, false, false]);
+      expect(matches({range: [1, 10]}, [0, 1, 10.5, '5'])).to.deep.equal([false, true, false, false]);
+    });
+
+    it('Should match one of a set of values without confusing their types', function() {
+      expect(matches({oneOf: ['+', '-', 1]}, ['+', '-', 1, '1', '*'])).to.deep.equal([true, true, true, false, false]);
+    });
+
+    it('Should match every input', function() {
+      expect(matches({any: true}, ['a', null, undefined, 0])).to.deep.equal([true, true, true, true]);
+    });
+
+    it('Should combine operands with not, and and or', function() {
+      var letter = {range: ['a', 'z']};
+
+      expect(matches({not: letter}, ['a', '1'])).to.deep.equal([false, true]);
+      expect(matches({and: [letter, {not: 'q'}]}, ['a', 'q', '1'])).to.deep.equal([true, false, false]);
+      expect(matches({or: [letter, '_']}, ['a', '_', '1'])).to.deep.equal([true, true, false]);
+    });
+
+    it('Should pass every criteria argument to function operands', function() {
+      var spy = sinon.spy(function () { return true; });
+      var context = {};
+
+      new Matcher({and: [spy]}).compile()('a', null, context);
+
+      expect(spy.calledWith('a', null, context)).to.equal(true);
+    });
+
+    it('Should keep the matcher on the criteria function', function() {
+      var descriptor = {any: true};
+
+      expect(new Matcher(descriptor).compile().matcher).to.equal(descriptor);
+    });
+  });
+
+  describe('getError()', function () {
+    it('Should accept valid matchers', function() {
+      expect(new Matcher({and: [{regex: 'a', flags: 'i'}, {not: function () {}}, 'b']}).getError()).to.equal(null);
+    });
+
+    it('Should require exactly one kind of matcher', function() {
+      expect(new Matcher({}).getError()).to.contain('exactly one');
+      expect(new Matcher({any: true, oneOf: []}).getError()).to.contain('exactly one');
+      expect(new Matcher({any: true, flags: 'i'}).getError()).to.contain('exactly one');
+    });
+
+    it('Should describe invalid matchers and operands', function() {
+      expect(new Matcher({regex: 1}).getError()).to.contain('regex');
+      expect(new Matcher({regex: '['}).getError()).to.contain('invalid');
+      expect(new Matcher({range: ['a', 1]}).getError()).to.contain('range');
+      expect(new Matcher({oneOf: [{}]}).getError()).to.contain('oneOf');
+      expect(new Matcher({any: false}).getError()).to.contain('any');
+      expect(new Matcher({or: []}).getError()).to.contain('non-empty');
+      expect(new Matcher({not: [1]}).getError()).to.contain('operands');
+      expect(new Matcher({and: [{not: {range: []}}]}).getError()).to.contain('range');
+    });
+  });
+
+  describe('hasFunctions()', function () {
+    it('Should find criteria functions used as operands', function() {
+      expect(new Matcher({and: [{any: true}, {not: 'a'}]}).hasFunctions()).to.equal(false);
+      expect(new Matcher({or: ['a', {not: function () {}}]}).hasFunctions()).to.equal(true);
+    });
+  });
+
+  describe('describe()', function () {
+    it('Should describe the matcher for diagram labels', function() {
+      var isVowel = function isVowel() {};
+
+      expect(new Matcher({regex: /[a-z]/i}).describe()).to.equal('/[a-z]/i');
+      expect(new Matcher({range: ['0', '9']}).describe()).to.equal('"0".."9"');
+      expect(new Matcher({oneOf: ['+', 1]}).describe()).to.equal('["+",1]');
+      expect(new Matcher({any: true}).describe()).to.equal('any');
+      expect(new Matcher({and: [{range: [1, 5]}, {not: isVowel}]}).describe()).to.equal('(1..5 and not isVowel)');
+      expect(new Matcher({or: ['a', function () {}]}).describe()).to.equal('("a" or function)');
+    });
+  });
+});
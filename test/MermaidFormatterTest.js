@@ -0,0 +1,77 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var MermaidFormatter = require('../lib/MermaidFormatter');
+
+describe('MermaidFormatter', function () {
+  var fsm = new AwesomeAutomata({
+    name: 'test-machine',
+    debug: false
+  });
+
+  before(function () {
+    fsm.addStates([
+      {
+        name: 'initialState',
+        isInitial: true,
+        outgoingTransitions: [
+          {state: '$0.05', criteria: 0.05},
+          {
+            state: 'finalState',
+            criteria: function isDone(input) {
+              return input === 'done';
+            },
+            accept: function () {
+              return true;
+            }
+          }
+        ]
+      },
+      {
+        name: '$0.05',
+        outgoingTransitions: [
+          {state: 'finalState', criteria: 'a'}
+        ]
+      },
+      {
+        name: 'finalState',
+        isTerminal: true
+      }
+    ]);
+  });
+
+  describe('format()', function () {
+    it('Should create a stateDiagram-v2 diagram', function() {
+      var diagram = new MermaidFormatter(fsm).format();
+
+      expect(diagram.indexOf('stateDiagram-v2\n')).to.equal(0);
+    });
+
+    it('Should render the initial state as "[*] -->"', function() {
+      var diagram = new MermaidFormatter(fsm).format();
+
+      expect(diagram).to.contain('  [*] --> initialState\n');
+    });
+
+    it('Should render terminal states as "--> [*]"', function() {
+      var diagram = new MermaidFormatter(fsm).format();
+
+      expect(diagram).to.contain('  finalState --> [*]\n');
+    });
+
+    it('Should label each edge from the state transitions', function() {
+      var diagram = new MermaidFormatter(fsm).format();
+
+      expect(diagram).to.contain('  initialState --> __state0 : 0.05\n');
+      expect(diagram).to.contain('  initialState --> finalState : isDone / accept\n');
+      expect(diagram).to.contain('  __state0 --> finalState : "a"\n');
+    });
+
+    it('Should declare an alias for states that are not plain identifiers', function() {
+      var diagram = new MermaidFormatter(fsm).format();
+
+      expect(diagram).to.contain('  state "$0.05" as __state0\n');
+    });
+  });
+});
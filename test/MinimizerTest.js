@@ -0,0 +1,189 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var Minimizer = require('../lib/Minimizer');
+
+describe('Minimizer', function () {
+  var emitToken = function () {
+    return 'token';
+  };
+
+  // Accepts "ab" or "cb", with a separate (but equivalent) path for each
+  var createMachine = function (config) {
+    var fsm = new AwesomeAutomata(config || {name: 'test-machine'});
+
+    fsm.addStates([
+      {name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'sawA', criteria: 'a'},
+        {state: 'sawC', criteria: 'c'}
+      ]},
+      {name: 'sawA', outgoingTransitions: [
+        {state: 'doneA', criteria: 'b', accept: emitToken}
+      ]},
+      {name: 'sawC', outgoingTransitions: [
+        {state: 'doneC', criteria: 'b', accept: emitToken}
+      ]},
+      {name: 'doneA', isTerminal: true},
+      {name: 'doneC', isTerminal: true},
+      {name: 'orphan', outgoingTransitions: [
+        {state: 'start', criteria: 'x'}
+      ]}
+    ]);
+
+    return fsm;
+  };
+
+  describe('minimize()', function () {
+    it('Should merge equivalent states into a new machine', function() {
+      var result = new Minimizer(createMachine()).minimize();
+      var automata = result.automata;
+
+      expect(automata instanceof AwesomeAutomata).to.equal(true);
+      expect(Object.keys(automata._states)).to.deep.equal(['start', 'sawA', 'doneA']);
+      expect(automata.getState('start').isInitial()).to.equal(true);
+      expect(automata.getState('doneA').isTerminal()).to.equal(true);
+      expect(automata.getState('start').getTransitions().map(function (transition) {
+        return transition.state;
+      })).to.deep.equal(['sawA', 'sawA']);
+    });
+
+    it('Should report which states were merged and which were removed', function() {
+      var result = new Minimizer(createMachine()).minimize();
+
+      expect(result.merged).to.deep.equal([['sawA', 'sawC'], ['doneA', 'doneC']]);
+      expect(result.removed).to.deep.equal(['orphan']);
+    });
+
+    it('Should keep the accept functions of states and transitions', function() {
+      var automata = new Minimizer(createMachine()).minimize().automata;
+      var spy = sinon.spy();
+
+      automata.on('return', spy);
+      automata.next('c');
+      automata.next('b');
+
+      expect(spy.calledWith('token')).to.equal(true);
+      expect(automata.getState('sawA').getTransitions()[0].accept).to.equal(emitToken);
+    });
+
+    it('Should not merge states with different accept functions', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
+        {name: 'start', isInitial: true, outgoingTransitions: [
+          {state: 'first', criteria: 1},
+          {state: 'second', criteria: 2}
+        ]},
+        {name: 'first', isTerminal: true, accept: function () { return 1; }},
+        {name: 'second', isTerminal: true, accept: function () { return 2; }}
+      ]);
+
+      expect(new Minimizer(fsm).minimize().merged).to.deep.equal([]);
+    });
+
+    it('Should not merge states with different hooks', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+      var onEnter = function () {};
+      var result;
+
+      fsm.addStates([
+        {name: 'start', isInitial: true, outgoingTransitions: [
+          {state: 'first', criteria: 1},
+          {state: 'second', criteria: 2}
+        ]},
+        {name: 'first', isTerminal: true, onEnter: onEnter},
+        {name: 'second', isTerminal: true}
+      ]);
+
+      result = new Minimizer(fsm).minimize();
+
+      expect(result.merged).to.deep.equal([]);
+      expect(result.automata.getState('first').onEnter).to.equal(onEnter);
+    });
+
+    it('Should not merge states whose transitions assign different values', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine', context: {count: 0}});
+      var result;
+
+      fsm.addStates([
+        {name: 'start', isInitial: true, outgoingTransitions: [
+          {state: 'first', criteria: 1},
+          {state: 'second', criteria: 2}
+        ]},
+        {name: 'first', outgoingTransitions: [{state: 'done', criteria: 3, assign: {count: 1}}]},
+        {name: 'second', outgoingTransitions: [{state: 'done', criteria: 3, assign: {count: 2}}]},
+        {name: 'done', isTerminal: true}
+      ]);
+
+      result = new Minimizer(fsm).minimize();
+
+      expect(result.merged).to.deep.equal([]);
+      expect(result.automata.getCurrentState().context).to.deep.equal({count: 0});
+    });
+
+    it('Should distinguish states that only differ further down the graph', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
+        {name: 'start', isInitial: true, outgoingTransitions: [
+          {state: 'left', criteria: 'l'},
+          {state: 'right', criteria: 'r'}
+        ]},
+        {name: 'left', outgoingTransitions: [{state: 'leftEnd', criteria: 'x'}]},
+        {name: 'right', outgoingTransitions: [{state: 'rightEnd', criteria: 'x'}]},
+        {name: 'leftEnd', outgoingTransitions: [{state: 'done', criteria: 'y'}]},
+        {name: 'rightEnd', outgoingTransitions: [{state: 'done', criteria: 'z'}]},
+        {name: 'done', isTerminal: true}
+      ]);
+
+      expect(new Minimizer(fsm).minimize().merged).to.deep.equal([]);
+    });
+
+    it('Should only support primitive criteria', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addState({name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'start', criteria: function () { return true; }}
+      ]});
+
+      expect(function () { new Minimizer(fsm).minimize(); }).to.throw(Error, 'only primitive criteria');
+    });
+
+    it('Should not support transitions to undefined states', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addState({name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'missing', criteria: 1}
+      ]});
+
+      expect(function () { new Minimizer(fsm).minimize(); }).to.throw(Error, 'undefined state');
+    });
+
+    it('Should not support nested or parallel states', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+      var parallel = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addState({name: 'start', isInitial: true, initial: 'child', states: [
+        {name: 'child', outgoingTransitions: [{state: 'start', criteria: 1}]}
+      ]});
+
+      parallel.addState({name: 'start', isInitial: true, regions: [
+        {name: 'region', states: [{name: 'child', isInitial: true, outgoingTransitions: [{state: 'child', criteria: 1}]}]}
+      ]});
+
+      expect(function () { new Minimizer(fsm).minimize(); }).to.throw(Error, 'nested and parallel states');
+      expect(function () { new Minimizer(parallel).minimize(); }).to.throw(Error, 'nested and parallel states');
+    });
+  });
+
+  describe('_key(value)', function () {
+    it('Should not confuse values of different types', function() {
+      var minimizer = new Minimizer(createMachine());
+
+      expect(minimizer._key(1)).to.not.equal(minimizer._key('1'));
+      expect(minimizer._key('a')).to.equal(minimizer._key('a'));
+    });
+  });
+});
@@ -0,0 +1,504 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var NondeterministicAutomata = require('../lib/NondeterministicAutomata');
+
+describe('NondeterministicAutomata', function () {
+  // Accepts inputs ending with "ab" (via the "a" loop) or exactly "ac"
+  var createMachine = function (config) {
+    var nfa = new NondeterministicAutomata(config || {name: 'test-machine'});
+
+    nfa.addStates([
+      {
+        name: 'start',
+        isInitial: true,
+        outgoingTransitions: [
+          {state: 'loop', epsilon: true},
+          {state: 'sawA', criteria: 'a'}
+        ]
+      },
+      {
+        name: 'loop',
+        outgoingTransitions: [
+          {state: 'loop', criteria: 'a'},
+          {state: 'loop', criteria: 'b'},
+          {state: 'loopA', criteria: 'a'}
+        ]
+      },
+      {
+        name: 'loopA',
+        outgoingTransitions: [
+          {state: 'endsWithAB', criteria: 'b'}
+        ]
+      },
+      {
+        name: 'endsWithAB',
+        accept: function () {
+          return 'ab';
+        },
+        outgoingTransitions: [
+          {state: 'loop', epsilon: true}
+        ]
+      },
+      {
+        name: 'sawA',
+        outgoingTransitions: [
+          {state: 'done', criteria: 'c', accept: function () {
+            return 'ac';
+          }}
+        ]
+      },
+      {
+        name: 'done',
+        isTerminal: true
+      }
+    ]);
+
+    return nfa;
+  };
+
+  it('Should be exported by AwesomeAutomata', function() {
+    expect(AwesomeAutomata.NondeterministicAutomata).to.equal(NondeterministicAutomata);
+    expect(createMachine() instanceof AwesomeAutomata).to.equal(true);
+  });
+
+  it('Should only allow epsilon transitions in nondeterministic machines', function() {
+    var config = {name: 'state', isInitial: true, outgoingTransitions: [{state: 'other', epsilon: true}]};
+
+    expect(function () { new AwesomeAutomata().addState(config); }).to.throw(Error);
+    expect(function () { new NondeterministicAutomata().addState(config); }).to.not.throw(Error);
+  });
+
+  it('Should not support nested or parallel states', function() {
+    var nfa = new NondeterministicAutomata();
+
+    expect(function () {
+      nfa.addState({name: 'parentState', isInitial: true, initial: 'childState', states: [{name: 'childState'}]});
+    }).to.throw(Error, 'nested');
+
+    expect(function () {
+      nfa.addState({name: 'parallelState', isInitial: true, regions: [{name: 'region', states: []}]});
+    }).to.throw(Error, 'regions');
+  });
+
+  it('Should not support states that invoke a machine, but can be invoked', function() {
+    var nfa = new NondeterministicAutomata({name: 'ab'});
+    var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+    expect(function () {
+      new NondeterministicAutomata().addState({name: 'someState', isInitial: true, invoke: nfa});
+    }).to.throw(Error, 'invokes a machine');
+
+    nfa.addStates([
+      {name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'start', criteria: 'a'},
+        {state: 'b', criteria: 'a'}
+      ]},
+      {name: 'b', isTerminal: true, accept: function (input) { return input; }}
+    ]);
+
+    fsm.addStates([
+      {name: 'reading', isInitial: true, invoke: nfa, outgoingTransitions: [{state: 'end', done: true}]},
+      {name: 'end'}
+    ]);
+
+    fsm.next('a');
+    expect(fsm.getCurrentState().state).to.equal('end');
+    expect(fsm.getCurrentState().history[1].input).to.deep.equal(['a']);
+  });
+
+  it('Should pass the context to the criteria and accept functions', function() {
+    var nfa = new NondeterministicAutomata({name: 'test-machine', context: {letter: 'a'}});
+    var spy = sinon.spy();
+
+    nfa.addStates([
+      {name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'end', criteria: function (input, previousStates, context) { return input === context.letter; }}
+      ]},
+      {name: 'end', accept: function (input, history, context) { return context.letter; }, outgoingTransitions: [
+        {state: 'end', criteria: 'b'}
+      ]}
+    ]);
+
+    nfa.on('return', spy);
+    nfa.next('a');
+
+    expect(spy.calledWith('a')).to.equal(true);
+    expect(nfa.getCurrentState().context).to.deep.equal({letter: 'a'});
+  });
+
+  it('Should only call the hooks of the states that stop or start being active', function() {
+    var nfa = createMachine();
+    var exitSpy = sinon.spy();
+    var enterSpy = sinon.spy();
+    var names = function (spy) {
+      return spy.args.map(function (args) {
+        return args[0].state;
+      });
+    };
+
+    nfa.on('exit', exitSpy);
+    nfa.on('enter', enterSpy);
+    nfa.next('a');
+
+    expect(names(exitSpy)).to.deep.equal(['start']);
+    expect(names(enterSpy)).to.deep.equal(['loopA', 'sawA']);
+    expect(enterSpy.firstCall.args[0].to).to.deep.equal(['loop', 'loopA', 'sawA']);
+
+    exitSpy.reset();
+    enterSpy.reset();
+    nfa.reset();
+
+    expect(names(exitSpy)).to.deep.equal(['loop', 'loopA', 'sawA']);
+    expect(names(enterSpy)).to.deep.equal(['start', 'loop']);
+  });
+
+  it('Should not support assign updaters', function() {
+    expect(function () {
+      new NondeterministicAutomata().addState({name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'start', criteria: 'a', assign: {count: 1}}
+      ]});
+    }).to.throw(Error, 'assign');
+  });
+
+  it('Should collect every value returned with AwesomeAutomata.emitAll()', function(done) {
+    var nfa = new NondeterministicAutomata({name: 'test-machine'});
+
+    nfa.addStates([
+      {name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'end', criteria: 'a', accept: function () { return AwesomeAutomata.emitAll([1, 2]); }}
+      ]},
+      {name: 'end', accept: function () { return AwesomeAutomata.emitAll([3, 4]); }, outgoingTransitions: [
+        {state: 'end', criteria: 'a'}
+      ]}
+    ]);
+
+    nfa.next('a', function (err, result) {
+      expect(result.transition.actions).to.deep.equal([1, 2]);
+      expect(result.accept).to.deep.equal([3, 4]);
+      done();
+    });
+  });
+
+  it('Should change the graph without losing track of the active states', function(done) {
+    var nfa = createMachine();
+
+    nfa.next('a');
+
+    expect(function () { nfa.removeState('loopA'); }).to.throw(Error, 'Cannot remove the active state: "loopA"');
+    expect(function () {
+      nfa.addTransition('loop', {state: 'loop', after: 10});
+    }).to.throw(Error, 'timed transitions');
+
+    nfa.replaceState({name: 'sawA', outgoingTransitions: [{state: 'done', criteria: 'd'}]});
+
+    expect(nfa.getCurrentState().states).to.deep.equal(['loop', 'loopA', 'sawA']);
+
+    nfa.next('d', function (err, result) {
+      expect(result.reset.finalStates).to.deep.equal(['done']);
+      done();
+    });
+  });
+
+  it('Should not support timed transitions', function() {
+    expect(function () {
+      new NondeterministicAutomata().addState({name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'start', after: 1000}
+      ]});
+    }).to.throw(Error, 'timed');
+  });
+
+  describe('NondeterministicAutomata.fromJSON(definition, registry)', function () {
+    it('Should create a nondeterministic machine', function() {
+      var nfa = NondeterministicAutomata.fromJSON({
+        name: 'test-machine',
+        states: [
+          {name: 'start', isInitial: true, outgoingTransitions: [{state: 'end', epsilon: true}]},
+          {name: 'end', isTerminal: true}
+        ]
+      });
+
+      expect(nfa instanceof NondeterministicAutomata).to.equal(true);
+      expect(nfa.getCurrentState().states).to.deep.equal(['start', 'end']);
+    });
+  });
+
+  describe('getCurrentState()', function () {
+    it('Should return every active state, including the ones reached by epsilon transitions', function() {
+      var nfa = createMachine();
+
+      expect(nfa.getCurrentState().states).to.deep.equal(['start', 'loop']);
+      expect(nfa.getCurrentState().history).to.deep.equal([{states: ['start'], input: null}]);
+    });
+  });
+
+  describe('next(input[, callback])', function () {
+    it('Should follow every matching transition out of the active states', function() {
+      var nfa = createMachine();
+
+      nfa.next('a');
+      expect(nfa.getCurrentState().states).to.deep.equal(['loop', 'loopA', 'sawA']);
+
+      nfa.next('b');
+      expect(nfa.getCurrentState().states).to.deep.equal(['loop', 'endsWithAB']);
+    });
+
+    it('Should emit "return" events for accepting states and transition actions', function() {
+      var nfa = createMachine();
+      var spy = sinon.spy();
+
+      nfa.on('return', spy);
+
+      nfa.next('a');
+      nfa.next('b');
+      expect(spy.calledWith('ab')).to.equal(true);
+
+      nfa.reset();
+      nfa.next('a');
+      nfa.next('c');
+      expect(spy.calledWith('ac')).to.equal(true);
+    });
+
+    it('Should emit a "change" event describing the active states', function() {
+      var nfa = createMachine();
+      var spy = sinon.spy();
+
+      nfa.on('change', spy);
+      nfa.next('a');
+
+      expect(spy.firstCall.args[0].from).to.deep.equal(['start', 'loop']);
+      expect(spy.firstCall.args[0].to).to.deep.equal(['loop', 'loopA', 'sawA']);
+      expect(spy.firstCall.args[0].input).to.equal('a');
+    });
+
+    it('Should reset the machine when one of the active states is terminal', function() {
+      var nfa = createMachine();
+      var spy = sinon.spy();
+
+      nfa.on('reset', spy);
+      nfa.next('a');
+      nfa.next('c');
+
+      expect(spy.calledOnce).to.equal(true);
+      expect(spy.firstCall.args[0].finalStates).to.deep.equal(['done']);
+      expect(nfa.getCurrentState().states).to.deep.equal(['start', 'loop']);
+    });
+
+    it('Should emit an "error" and reset when no transition of any active state matches', function() {
+      var nfa = createMachine();
+      var spy = sinon.spy();
+
+      nfa.on('error', spy);
+      nfa.next('a');
+      nfa.next('z');
+
+      expect(spy.calledOnce).to.equal(true);
+      expect(nfa.getCurrentState().states).to.deep.equal(['start', 'loop']);
+    });
+
+    it('Should describe the active states in the NoTransitionError', function() {
+      var nfa = createMachine();
+      var spy = sinon.spy();
+
+      nfa.on('error', spy);
+      nfa.next('a');
+      nfa.next('z');
+
+      expect(spy.args[0][0]).to.be.an.instanceof(AwesomeAutomata.NoTransitionError);
+      expect(spy.args[0][0].state).to.deep.equal(['loop', 'loopA', 'sawA']);
+      expect(spy.args[0][0].input).to.equal('z');
+    });
+
+    it('Should keep the active states with the "stay" policy', function(done) {
+      var nfa = createMachine({name: 'test-machine', onUnmatched: 'stay'});
+
+      nfa.on('error', function () {});
+      nfa.next('a');
+      nfa.next('z', function (err, result) {
+        expect(result.currentStates).to.deep.equal(['loop', 'loopA', 'sawA']);
+        done();
+      });
+    });
+
+    it('Should make the named state the only active state (with its epsilon closure)', function(done) {
+      var nfa = createMachine({name: 'test-machine', onUnmatched: 'endsWithAB'});
+
+      nfa.on('error', function () {});
+      nfa.next('z', function (err, result) {
+        expect(result.accept).to.deep.equal(['ab']);
+        expect(result.currentStates).to.deep.equal(['loop', 'endsWithAB']);
+        done();
+      });
+    });
+
+    it('Should return the machine for chaining', function() {
+      var nfa = createMachine();
+
+      expect(nfa.next('a').next('b')).to.equal(nfa);
+      expect(nfa.getCurrentState().states).to.deep.equal(['loop', 'endsWithAB']);
+    });
+
+    it('Should pass every accepted value to the callback', function(done) {
+      var nfa = createMachine();
+
+      nfa.next('a');
+      nfa.next('b', function (err, result) {
+        expect(result.accept).to.deep.equal(['ab']);
+        expect(result.currentStates).to.deep.equal(['loop', 'endsWithAB']);
+        done();
+      });
+    });
+  });
+
+  describe('nextAsync(input)', function () {
+    it('Should not be supported', function() {
+      return createMachine().nextAsync('a').then(function () {
+        throw new Error('Expected nextAsync() to fail');
+      }, function (err) {
+        expect(err.message).to.contain('not supported');
+      });
+    });
+  });
+
+  describe('snapshot()', function () {
+    it('Should capture the active states', function() {
+      var nfa = createMachine();
+
+      nfa.next('a');
+
+      expect(JSON.parse(JSON.stringify(nfa.snapshot()))).to.deep.equal({
+        name: 'test-machine',
+        states: ['loop', 'loopA', 'sawA'],
+        previousStates: ['start', 'loop'],
+        history: [
+          {states: ['start'], input: null},
+          {states: ['loop', 'loopA', 'sawA'], input: 'a'}
+        ]
+      });
+    });
+  });
+
+  describe('restore(snapshot)', function () {
+    it('Should rehydrate the active states', function() {
+      var nfa = createMachine();
+      var restored = createMachine();
+      var spy = sinon.spy();
+
+      nfa.next('a');
+      restored.on('restore', spy);
+      restored.restore(nfa.snapshot());
+
+      expect(restored.getCurrentState()).to.deep.equal(nfa.getCurrentState());
+      expect(spy.calledOnce).to.equal(true);
+    });
+
+    it('Should restore the context', function() {
+      var nfa = createMachine({name: 'test-machine', context: {count: 1}});
+      var restored = createMachine({name: 'test-machine', context: {count: 2}});
+
+      restored.restore(JSON.parse(JSON.stringify(nfa.snapshot())));
+
+      expect(restored.getCurrentState().context).to.deep.equal({count: 1});
+    });
+
+    it('Should refuse snapshots that reference states that do not exist', function() {
+      expect(function () {
+        createMachine().restore({name: 'test-machine', states: ['missing'], previousStates: [], history: []});
+      }).to.throw(Error, 'missing');
+    });
+  });
+
+  describe('toDeterministic()', function () {
+    it('Should create an equivalent deterministic machine', function() {
+      var nfa = createMachine();
+      var dfa = nfa.toDeterministic();
+      var run = function (machine, inputs) {
+        var values = [];
+        var onReturn = function (value) {
+          values.push(value);
+        };
+
+        machine.on('return', onReturn);
+        inputs.forEach(function (input) {
+          machine.next(input);
+        });
+        machine.removeListener('return', onReturn);
+
+        return values;
+      };
+
+      expect(dfa instanceof AwesomeAutomata).to.equal(true);
+      expect(dfa instanceof NondeterministicAutomata).to.equal(false);
+
+      expect(run(dfa, ['b', 'a', 'b', 'a', 'a', 'b'])).to.deep.equal(run(nfa, ['b', 'a', 'b', 'a', 'a', 'b']));
+      dfa.reset();
+      expect(run(dfa, ['a', 'c'])).to.deep.equal(['ac']);
+      expect(dfa.getCurrentState().state).to.equal('{start,loop}');
+    });
+
+    it('Should name the states after the set of states they represent', function() {
+      var dfa = createMachine().toDeterministic();
+
+      expect(dfa.getState('{start,loop}').isInitial()).to.equal(true);
+      expect(dfa.getState('{loop,loopA,sawA}')).to.exist;
+      expect(dfa.getState('{loop,endsWithAB}')).to.exist;
+      expect(dfa.getState('done').isTerminal()).to.equal(true);
+    });
+
+    it('Should pass the context to the combined accept functions', function() {
+      var nfa = new NondeterministicAutomata({name: 'test-machine', context: {unit: 'px'}});
+      var spy = sinon.spy();
+      var dfa;
+
+      nfa.addStates([
+        {name: 'start', isInitial: true, outgoingTransitions: [
+          {state: 'a', criteria: 'x'},
+          {state: 'b', criteria: 'x'}
+        ]},
+        {name: 'a', accept: function (input, history, context) { return 'a:' + context.unit; }},
+        {name: 'b', accept: function (input, history, context) { return 'b:' + context.unit; }}
+      ]);
+
+      dfa = nfa.toDeterministic();
+      dfa.on('return', spy);
+      dfa.next('x');
+
+      expect(spy.args).to.deep.equal([['a:px']]);
+    });
+
+    it('Should not support onEnter and onExit hooks', function() {
+      var nfa = new NondeterministicAutomata({name: 'test-machine'});
+
+      nfa.addState({name: 'start', isInitial: true, onEnter: function () {}, outgoingTransitions: [
+        {state: 'start', criteria: 'a'}
+      ]});
+
+      expect(function () { nfa.toDeterministic(); }).to.throw(Error, 'onEnter and onExit hooks');
+    });
+
+    it('Should only support primitive criteria', function() {
+      var nfa = new NondeterministicAutomata({name: 'test-machine'});
+
+      nfa.addState({name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'start', criteria: function () { return true; }}
+      ]});
+
+      expect(function () { nfa.toDeterministic(); }).to.throw(Error, 'only primitive criteria');
+    });
+  });
+
+  describe('_combineAccept(accepts)', function () {
+    it('Should return the first value that is not undefined', function() {
+      var nfa = createMachine();
+      var first = function () {};
+      var second = function () { return 2; };
+      var third = function () { return 3; };
+
+      expect(nfa._combineAccept([undefined])).to.equal(undefined);
+      expect(nfa._combineAccept([undefined, second])).to.equal(second);
+      expect(nfa._combineAccept([first, second, third])()).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var NondeterministicAutomata = require('../lib/NondeterministicAutomata');
+var Serializer = require('../lib/Serializer');
+
+describe('Serializer', function () {
+  var registry = {
+    isLetter: function (input) {
+      return /^[a-z]$/.test(input);
+    },
+    startWord: function (input) {
+      return 'start:' + input;
+    },
+    emitWord: function () {
+      return 'word';
+    }
+  };
+
+  var definition = {
+    name: 'test-machine',
+    maxHistory: 10,
+    states: [
+      {name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'word', criteria: {ref: 'isLetter'}, accept: 'startWord'}
+      ]},
+      {name: 'word', outgoingTransitions: [
+        {state: 'word', criteria: {ref: 'isLetter'}},
+        {state: 'end', criteria: '.'}
+      ]},
+      {name: 'end', isTerminal: true, accept: 'emitWord'}
+    ]
+  };
+
+  describe('load(definition, Automata)', function () {
+    it('Should create a machine with the options and states of the definition', function() {
+      var fsm = new Serializer(registry).load(definition, AwesomeAutomata);
+
+      expect(fsm instanceof AwesomeAutomata).to.equal(true);
+      expect(fsm.name).to.equal('test-machine');
+      expect(fsm._maxHistory).to.equal(10);
+      expect(Object.keys(fsm._states)).to.deep.equal(['start', 'word', 'end']);
+      expect(fsm.getCurrentState().state).to.equal('start');
+    });
+
+    it('Should resolve function references from the registry and keep primitive criteria literal', function() {
+      var fsm = new Serializer(registry).load(definition, AwesomeAutomata);
+      var spy = sinon.spy();
+
+      expect(fsm.getState('start').getTransitions()[0].criteria).to.equal(registry.isLetter);
+      expect(fsm.getState('start').getTransitions()[0].accept).to.equal(registry.startWord);
+      expect(fsm.getState('word').getTransitions()[1].criteria.primitive).to.equal('.');
+      expect(fsm.getState('end').accept).to.equal(registry.emitWord);
+
+      fsm.on('return', spy);
+      ['a', 'b', '.'].forEach(function (input) {
+        fsm.next(input);
+      });
+
+      expect(spy.args).to.deep.equal([['start:a'], ['word']]);
+    });
+
+    it('Should resolve the function references of nested states', function() {
+      var fsm = new Serializer(registry).load({
+        name: 'test-machine',
+        states: [
+          {name: 'parentState', isInitial: true, initial: 'childState', states: [
+            {name: 'childState', accept: 'emitWord', outgoingTransitions: [
+              {state: 'parentState', criteria: {ref: 'isLetter'}}
+            ]}
+          ]}
+        ]
+      }, AwesomeAutomata);
+
+      expect(fsm.getState('childState').accept).to.equal(registry.emitWord);
+      expect(fsm.getState('childState').getTransitions()[0].criteria).to.equal(registry.isLetter);
+    });
+
+    it('Should compile matchers and resolve the function references used as their operands', function() {
+      var fsm = new Serializer(registry).load({
+        name: 'test-machine',
+        states: [
+          {name: 'start', isInitial: true, outgoingTransitions: [
+            {state: 'start', criteria: {and: [{ref: 'isLetter'}, {not: {regex: '[aeiou]', flags: 'i'}}]}}
+          ]}
+        ]
+      }, AwesomeAutomata);
+      var criteria = fsm.getState('start').getTransitions()[0].criteria;
+
+      expect(criteria.matcher.and[0]).to.equal(registry.isLetter);
+      expect(['b', 'E', '1'].map(function (input) {
+        return criteria(input);
+      })).to.deep.equal([true, false, false]);
+    });
+
+    it('Should accept a JSON string', function() {
+      var fsm = new Serializer(registry).load(JSON.stringify(definition), AwesomeAutomata);
+
+      expect(fsm.getState('word')).to.exist;
+    });
+
+    it('Should not modify the definition', function() {
+      new Serializer(registry).load(definition, AwesomeAutomata);
+
+      expect(definition.states[1].outgoingTransitions[1].criteria).to.equal('.');
+      expect(definition.states[2].accept).to.equal('emitWord');
+    });
+
+    it('Should report missing registry entries', function() {
+      expect(function () {
+        new Serializer({isLetter: registry.isLetter}).load(definition, AwesomeAutomata);
+      }).to.throw(Error, '[AwesomeAutomata:start] The accept action of the transition to state: "word" references "startWord"');
+
+      expect(function () {
+        new Serializer({}).load(definition, AwesomeAutomata);
+      }).to.throw(Error, '[AwesomeAutomata:start] The criteria of the transition to state: "word" references "isLetter"');
+    });
+
+    it('Should not resolve the properties inherited by the registry', function() {
+      expect(function () {
+        new Serializer({}).load({states: [
+          {name: 'start', isInitial: true, outgoingTransitions: [{state: 'start', criteria: {ref: 'constructor'}}]}
+        ]}, AwesomeAutomata);
+      }).to.throw(Error, 'references "constructor", which is not a function in the registry');
+
+      expect(function () {
+        new Serializer({}).load({states: [{name: 'start', isInitial: true, accept: 'toString'}]}, AwesomeAutomata);
+      }).to.throw(Error, 'references "toString", which is not a function in the registry');
+    });
+
+    it('Should require an array of states', function() {
+      expect(function () {
+        new Serializer(registry).load({name: 'test-machine'}, AwesomeAutomata);
+      }).to.throw(Error, 'array of states');
+    });
+  });
+
+  describe('dump(fsm)', function () {
+    it('Should write the definition back out', function() {
+      var fsm = new Serializer(registry).load(definition, AwesomeAutomata);
+
+      expect(new Serializer(registry).dump(fsm)).to.deep.equal(definition);
+    });
+
+    it('Should write nested states out flat', function() {
+      var fsm = new Serializer().load({
+        name: 'test-machine',
+        states: [
+          {name: 'parentState', isInitial: true, initial: 'childState', states: [
+            {name: 'childState', outgoingTransitions: [{state: 'parentState', criteria: 1}]}
+          ]}
+        ]
+      }, AwesomeAutomata);
+
+      expect(new Serializer().dump(fsm).states).to.deep.equal([
+        {name: 'parentState', isInitial: true, initial: 'childState'},
+        {name: 'childState', parent: 'parentState', outgoingTransitions: [{state: 'parentState', criteria: 1}]}
+      ]);
+    });
+
+    it('Should write the states of the regions of parallel states', function() {
+      var definition = {
+        name: 'test-machine',
+        states: [
+          {name: 'device', isInitial: true, regions: [
+            {name: 'power', states: [
+              {name: 'battery', isInitial: true, outgoingTransitions: [{state: 'battery', criteria: {ref: 'isLetter'}}]}
+            ]}
+          ]}
+        ]
+      };
+      var fsm = new Serializer(registry).load(definition, AwesomeAutomata);
+
+      expect(new Serializer(registry).dump(fsm)).to.deep.equal(definition);
+    });
+
+    it('Should reference the onEnter and onExit hooks by name', function() {
+      var functions = {
+        startTimer: function () {},
+        stopTimer: function () {}
+      };
+      var definition = {
+        name: 'test-machine',
+        states: [
+          {name: 'idle', isInitial: true, onEnter: 'startTimer', onExit: 'stopTimer', outgoingTransitions: [
+            {state: 'idle', criteria: 1}
+          ]}
+        ]
+      };
+      var fsm = new Serializer(functions).load(definition, AwesomeAutomata);
+
+      expect(fsm.getState('idle').onEnter).to.equal(functions.startTimer);
+      expect(new Serializer(functions).dump(fsm)).to.deep.equal(definition);
+
+      expect(function () {
+        new Serializer({}).load(definition, AwesomeAutomata);
+      }).to.throw(Error, 'The onEnter function references "startTimer"');
+    });
+
+    it('Should write the context and the assign updaters', function() {
+      var functions = {
+        addCoin: function (context, input) {
+          return context.total + input;
+        },
+        clear: function () {
+          return {total: 0};
+        }
+      };
+      var definition = {
+        name: 'test-machine',
+        context: {total: 0, vended: false},
+        states: [
+          {name: 'idle', isInitial: true, outgoingTransitions: [
+            {state: 'idle', criteria: 25, assign: {total: {ref: 'addCoin'}, vended: false}},
+            {state: 'idle', criteria: 'reset', assign: 'clear'}
+          ]}
+        ]
+      };
+      var fsm = new Serializer(functions).load(definition, AwesomeAutomata);
+
+      expect(fsm.getState('idle').getTransitions()[0].assign.total).to.equal(functions.addCoin);
+      expect(fsm.getState('idle').getTransitions()[1].assign).to.equal(functions.clear);
+      expect(fsm.getCurrentState().context).to.deep.equal({total: 0, vended: false});
+      expect(new Serializer(functions).dump(fsm)).to.deep.equal(definition);
+    });
+
+    it('Should reference unregistered functions by their declared name', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addState({name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'start', criteria: function isDigit(input) { return /^\d$/.test(input); }}
+      ]});
+
+      expect(new Serializer().dump(fsm).states[0].outgoingTransitions[0].criteria).to.deep.equal({ref: 'isDigit'});
+    });
+
+    it('Should refuse anonymous functions that are not in the registry', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addState({name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'start', criteria: function () { return true; }}
+      ]});
+
+      expect(function () { new Serializer().dump(fsm); }).to.throw(Error, 'anonymous function');
+    });
+
+    it('Should write matchers with regular expressions as strings and function operands as references', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addState({name: 'start', isInitial: true, outgoingTransitions: [
+        {state: 'start', criteria: {or: [{regex: /[a-z]/i}, {range: [0, 9]}, {not: registry.isLetter}]}}
+      ]});
+
+      expect(new Serializer(registry).dump(fsm).states[0].outgoingTransitions[0].criteria).to.deep.equal({
+        or: [{regex: '[a-z]', flags: 'i'}, {range: [0, 9]}, {not: {ref: 'isLetter'}}]
+      });
+    });
+
+    it('Should write epsilon transitions', function() {
+      var nfa = new NondeterministicAutomata({name: 'test-machine'});
+
+      nfa.addStates([
+        {name: 'start', isInitial: true, outgoingTransitions: [{state: 'end', epsilon: true}]},
+        {name: 'end', isTerminal: true}
+      ]);
+
+      expect(new Serializer().dump(nfa).states[0].outgoingTransitions).to.deep.equal([
+        {state: 'end', epsilon: true}
+      ]);
+    });
+
+    it('Should write timed transitions', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine', clock: new AwesomeAutomata.ManualClock()});
+
+      fsm.addStates([
+        {name: 'start', isInitial: true, outgoingTransitions: [{state: 'end', after: 1000}]},
+        {name: 'end', isTerminal: true}
+      ]);
+
+      expect(new Serializer().dump(fsm).states[0].outgoingTransitions).to.deep.equal([
+        {state: 'end', after: 1000}
+      ]);
+    });
+
+    it('Should throw for states that invoke a machine', function() {
+      var child = new AwesomeAutomata({name: 'child'});
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      child.addState({name: 'start', isInitial: true});
+      fsm.addState({name: 'start', isInitial: true, invoke: child});
+
+      expect(function () {
+        new Serializer().dump(fsm);
+      }).to.throw(Error, 'cannot be serialized');
+    });
+  });
+});
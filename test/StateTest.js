@@ -180,6 +180,21 @@ describe('State', function () {
       expect(testFunc).to.not.throw(Error);
     });
 
+    it('Should require the assign property of each outgoing transition to be a function or an object', function() {
+      var testFunc = function (assign) {
+        return function () {
+          new State({
+            name: 'someName',
+            outgoingTransitions: [{state: 'anotherState', criteria: 1, assign: assign}]
+          });
+        };
+      };
+
+      expect(testFunc('total')).to.throw(Error, 'The assign property must be a function or an object of updaters');
+      expect(testFunc(function () {})).to.not.throw(Error);
+      expect(testFunc({total: 1})).to.not.throw(Error);
+    });
+
     it('Should require a terminal state to have no outgoing transitions', function() {
       var testFunc = function() {
         testState._validateConfig({
@@ -224,6 +239,102 @@ describe('State', function () {
     });
   });
 
+  describe('_validateConfig(config) for lifecycle hooks', function () {
+    it('Should require the onEnter and onExit hooks to be functions', function() {
+      expect(function () {
+        new State({name: 'someName', onEnter: 'start timer'});
+      }).to.throw(Error, 'The onEnter hook of a state must be a function');
+
+      expect(function () {
+        new State({name: 'someName', onExit: 'stop timer'});
+      }).to.throw(Error, 'The onExit hook of a state must be a function');
+
+      expect(function () {
+        new State({name: 'someName', onEnter: function () {}, onExit: function () {}});
+      }).to.not.throw(Error);
+    });
+  });
+
+  describe('_validateConfig(config) for nested states', function () {
+    it('Should require the parent and the initial child state to be names', function() {
+      expect(function () {
+        new State({name: 'someName', parent: {name: 'parentState'}});
+      }).to.throw(Error, 'parent of a state');
+
+      expect(function () {
+        new State({name: 'someName', initial: {name: 'childState'}});
+      }).to.throw(Error, 'initial child state');
+    });
+
+    it('Should not allow a state to be its own parent', function() {
+      expect(function () {
+        new State({name: 'someName', parent: 'someName'});
+      }).to.throw(Error, 'its own parent');
+    });
+
+    it('Should require child states to be passed in an array along with the initial child state', function() {
+      expect(function () {
+        new State({name: 'someName', initial: 'childState', states: {name: 'childState'}});
+      }).to.throw(Error, 'child states must be specified by an array');
+
+      expect(function () {
+        new State({name: 'someName', states: [{name: 'childState'}]});
+      }).to.throw(Error, 'must specify their initial child state');
+    });
+
+    it('Should not allow terminal states to have child states', function() {
+      expect(function () {
+        new State({name: 'someName', isTerminal: true, initial: 'childState'});
+      }).to.throw(Error, 'Terminal states cannot have child states');
+    });
+  });
+
+  describe('_validateConfig(config) for parallel states', function () {
+    it('Should require a non-empty array of regions', function() {
+      expect(function () {
+        new State({name: 'someName', regions: []});
+      }).to.throw(Error, 'non-empty array');
+    });
+
+    it('Should require each region to have a unique name and an array of states', function() {
+      expect(function () {
+        new State({name: 'someName', regions: [{states: []}]});
+      }).to.throw(Error, 'must have a name');
+
+      expect(function () {
+        new State({name: 'someName', regions: [{name: 'region', states: []}, {name: 'region', states: []}]});
+      }).to.throw(Error, 'already been defined');
+
+      expect(function () {
+        new State({name: 'someName', regions: [{name: 'region'}]});
+      }).to.throw(Error, 'must be specified by an array');
+    });
+
+    it('Should not allow parallel states to be terminal or have child states', function() {
+      expect(function () {
+        new State({name: 'someName', isTerminal: true, regions: [{name: 'region', states: []}]});
+      }).to.throw(Error, 'cannot be terminal or have child states');
+    });
+  });
+
+  describe('_validateConfig(config) for invoked machines', function () {
+    it('Should require a machine or a Definition', function() {
+      expect(function () {
+        new State({name: 'someName', invoke: {}});
+      }).to.throw(Error, 'can only invoke a machine or a Definition');
+
+      expect(function () {
+        new State({name: 'someName', invoke: {createInstance: function () {}}});
+      }).to.not.throw();
+    });
+
+    it('Should not allow states that invoke a machine to be terminal or have child states', function() {
+      expect(function () {
+        new State({name: 'someName', isTerminal: true, invoke: {next: function () {}}});
+      }).to.throw(Error, 'cannot be terminal or have child states');
+    });
+  });
+
   describe('getName()', function () {
     it('Should return the name of the state', function() {
       var stateName = 'someName';
@@ -268,6 +379,29 @@ describe('State', function () {
     });
   });
 
+  describe('getParent()', function () {
+    it('Should return the name of the parent state', function() {
+      expect(new State({name: 'childState', parent: 'parentState'}).getParent()).to.equal('parentState');
+      expect(new State({name: 'someName'}).getParent()).to.be.undefined;
+    });
+  });
+
+  describe('getInitialState()', function () {
+    it('Should return the name of the initial child state', function() {
+      expect(new State({name: 'parentState', initial: 'childState'}).getInitialState()).to.equal('childState');
+      expect(new State({name: 'someName'}).getInitialState()).to.be.undefined;
+    });
+  });
+
+  describe('getRegions()', function () {
+    it('Should return the names of the regions', function() {
+      var myState = new State({name: 'someName', regions: [{name: 'first', states: []}, {name: 'second', states: []}]});
+
+      expect(myState.getRegions()).to.deep.equal(['first', 'second']);
+      expect(new State({name: 'someName'}).getRegions()).to.deep.equal([]);
+    });
+  });
+
   describe('getTransitions()', function () {
     it('Should return an array of outbound transitions', function() {
       var outboundTransitions = [
@@ -283,4 +417,245 @@ describe('State', function () {
       expect(myState.getTransitions()).to.equal(outboundTransitions);
     });
   });
+
+  describe('addTransition(transitionConfig)', function () {
+    it('Should add a transition after the existing ones without changing the configuration', function() {
+      var outboundTransitions = [{state: 'anotherState', criteria: 'a'}];
+      var transitionConfig = {state: 'furtherState', criteria: 'b'};
+      var myState = new State({name: 'someName', outgoingTransitions: outboundTransitions});
+      var transition = myState.addTransition(transitionConfig);
+
+      expect(myState.getTransitions()).to.deep.equal([outboundTransitions[0], transition]);
+      expect(outboundTransitions).to.have.length(1);
+      expect(transitionConfig.criteria).to.equal('b');
+      expect(transition.criteria.primitive).to.equal('b');
+      expect(myState.findTransition('b')).to.equal(transition);
+    });
+
+    it('Should validate the transition', function() {
+      var myState = new State({name: 'someName'});
+
+      expect(function () { myState.addTransition({state: 'anotherState'}); }).to.throw(Error, 'criteria');
+      expect(function () {
+        new State({name: 'someName', isTerminal: true}).addTransition({state: 'anotherState', criteria: 'a'});
+      }).to.throw(Error, 'States cannot be terminal and have outgoing transitions');
+    });
+  });
+
+  describe('removeTransitions(predicate)', function () {
+    it('Should remove and return the matching transitions', function() {
+      var myState = new State({
+        name: 'someName',
+        outgoingTransitions: [
+          {state: 'anotherState', criteria: 'a'},
+          {state: 'furtherState', criteria: 'b'},
+          {state: 'anotherState', criteria: 'c'}
+        ]
+      });
+      var transitions = myState.getTransitions();
+
+      expect(myState.removeTransitions({state: 'anotherState'})).to.deep.equal([transitions[0], transitions[2]]);
+      expect(myState.getTransitions()).to.deep.equal([transitions[1]]);
+      expect(myState.findTransition('a')).to.equal(undefined);
+      expect(myState.removeTransitions(function (transition) {
+        return transition.criteria.primitive === 'z';
+      })).to.deep.equal([]);
+    });
+  });
+
+  describe('findTransition(input, previousState, context)', function () {
+    var createState = function () {
+      return new State({
+        name: 'someName',
+        outgoingTransitions: [
+          {state: 'first', criteria: 'a'},
+          {state: 'digit', criteria: function (input) { return /^[0-9]$/.test(input) && typeof input === 'string'; }},
+          {state: 'number', criteria: 1},
+          {state: 'string', criteria: '1'},
+          {state: 'second', criteria: 'a'},
+          {state: 'timed', after: 100},
+          {state: 'fallback', criteria: {any: true}}
+        ]
+      });
+    };
+
+    it('Should return the first matching transition', function() {
+      var myState = createState();
+
+      expect(myState.findTransition('a').state).to.equal('first');
+      expect(myState.findTransition(1).state).to.equal('number');
+      expect(myState.findTransition('b').state).to.equal('fallback');
+    });
+
+    it('Should call the criteria functions that come before the transition of a primitive value', function() {
+      var myState = createState();
+      var criteria = sinon.spy(myState.getTransitions()[1], 'criteria');
+      var context = {};
+
+      expect(myState.findTransition('a').state).to.equal('first');
+      expect(criteria.called).to.equal(false);
+
+      expect(myState.findTransition('1', 'previous', context).state).to.equal('digit');
+      expect(criteria.calledWith('1', 'previous', context)).to.equal(true);
+    });
+
+    it('Should compare inputs with the primitive criteria like === does', function() {
+      var input = ['a'];
+      var myState = new State({
+        name: 'someName',
+        outgoingTransitions: [
+          {state: 'array', criteria: input},
+          {state: 'true', criteria: true}
+        ]
+      });
+
+      expect(myState.findTransition(['a'])).to.equal(undefined);
+      expect(myState.findTransition('a')).to.equal(undefined);
+      expect(myState.findTransition(1)).to.equal(undefined);
+      expect(myState.findTransition(input).state).to.equal('array');
+      expect(myState.findTransition(true).state).to.equal('true');
+    });
+  });
+
+  describe('State.isPrimitive(transition)', function () {
+    it('Should identify transitions whose criteria was a primitive value', function() {
+      var myState = new State({
+        name: 'someName',
+        outgoingTransitions: [
+          {state: 'anotherState', criteria: 'a simple Test'},
+          {state: 'oneMoreState', criteria: function () { return true; }}
+        ]
+      });
+      var transitions = myState.getTransitions();
+
+      expect(State.isPrimitive(transitions[0])).to.equal(true);
+      expect(transitions[0].criteria.primitive).to.equal('a simple Test');
+      expect(State.isPrimitive(transitions[1])).to.equal(false);
+    });
+  });
+
+  describe('State.isMatcher(transition)', function () {
+    it('Should compile matchers and identify their transitions', function() {
+      var matcher = {range: ['a', 'z']};
+      var myState = new State({
+        name: 'someName',
+        outgoingTransitions: [
+          {state: 'anotherState', criteria: matcher},
+          {state: 'oneMoreState', criteria: 'a'}
+        ]
+      });
+      var transitions = myState.getTransitions();
+
+      expect(State.isMatcher(transitions[0])).to.equal(true);
+      expect(transitions[0].criteria.matcher).to.equal(matcher);
+      expect(transitions[0].criteria('q')).to.equal(true);
+      expect(State.isMatcher(transitions[1])).to.equal(false);
+    });
+
+    it('Should not allow invalid matchers', function() {
+      expect(function () {
+        new State({name: 'someName', outgoingTransitions: [{state: 'anotherState', criteria: {range: ['a']}}]});
+      }).to.throw(Error, 'anotherState');
+    });
+  });
+
+  describe('State.isEpsilon(transition)', function () {
+    it('Should identify epsilon transitions', function() {
+      var myState = new State({
+        name: 'someName',
+        outgoingTransitions: [
+          {state: 'anotherState', epsilon: true},
+          {state: 'oneMoreState', criteria: 'a'}
+        ]
+      });
+      var transitions = myState.getTransitions();
+
+      expect(State.isEpsilon(transitions[0])).to.equal(true);
+      expect(transitions[0].criteria).to.be.undefined;
+      expect(State.isEpsilon(transitions[1])).to.equal(false);
+    });
+
+    it('Should not allow criteria or accept actions on epsilon transitions', function() {
+      var testFunc = function() {
+        new State({
+          name: 'someName',
+          outgoingTransitions: [{state: 'anotherState', epsilon: true, criteria: 'a'}]
+        });
+      };
+
+      expect(testFunc).to.throw(Error);
+
+      testFunc = function() {
+        new State({
+          name: 'someName',
+          outgoingTransitions: [{state: 'anotherState', epsilon: true, accept: function () {}}]
+        });
+      };
+
+      expect(testFunc).to.throw(Error);
+    });
+  });
+
+  describe('State.isTimed(transition)', function () {
+    it('Should identify timed transitions', function() {
+      var myState = new State({
+        name: 'someName',
+        outgoingTransitions: [
+          {state: 'anotherState', after: 0},
+          {state: 'oneMoreState', criteria: 'a'}
+        ]
+      });
+      var transitions = myState.getTransitions();
+
+      expect(State.isTimed(transitions[0])).to.equal(true);
+      expect(transitions[0].criteria).to.be.undefined;
+      expect(State.isTimed(transitions[1])).to.equal(false);
+    });
+
+    it('Should require a delay in milliseconds and no criteria', function() {
+      [-1, '1000', NaN].forEach(function (after) {
+        expect(function () {
+          new State({name: 'someName', outgoingTransitions: [{state: 'anotherState', after: after}]});
+        }).to.throw(Error, 'delay');
+      });
+
+      expect(function () {
+        new State({name: 'someName', outgoingTransitions: [{state: 'anotherState', after: 10, criteria: 'a'}]});
+      }).to.throw(Error, 'criteria');
+    });
+  });
+  describe('State.isDone(transition)', function () {
+    var machine = {next: function () {}};
+
+    it('Should identify done transitions', function() {
+      var myState = new State({
+        name: 'someName',
+        invoke: machine,
+        outgoingTransitions: [
+          {state: 'anotherState', done: true},
+          {state: 'oneMoreState', criteria: 'a'}
+        ]
+      });
+      var transitions = myState.getTransitions();
+
+      expect(State.isDone(transitions[0])).to.equal(true);
+      expect(transitions[0].criteria).to.be.undefined;
+      expect(State.isDone(transitions[1])).to.equal(false);
+      expect(myState.findTransition('a', null)).to.equal(transitions[1]);
+    });
+
+    it('Should only allow done transitions without criteria on states that invoke a machine', function() {
+      expect(function () {
+        new State({name: 'someName', outgoingTransitions: [{state: 'anotherState', done: true}]});
+      }).to.throw(Error, 'Only states that invoke a machine');
+
+      expect(function () {
+        new State({name: 'someName', invoke: machine, outgoingTransitions: [{state: 'anotherState', done: true, criteria: 'a'}]});
+      }).to.throw(Error, 'cannot have criteria');
+
+      expect(function () {
+        new State({name: 'someName'}).addTransition({state: 'anotherState', done: true});
+      }).to.throw(Error, 'Only states that invoke a machine');
+    });
+  });
 });
\ No newline at end of file
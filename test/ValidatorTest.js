@@ -0,0 +1,270 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var Validator = require('../lib/Validator');
+
+describe('Validator', function () {
+  var types = function (issues) {
+    return issues.map(function (issue) {
+      return issue.type + ':' + issue.state;
+    });
+  };
+
+  describe('validate([options])', function () {
+    it('Should report a valid machine', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'finalState', criteria: 1}]},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      expect(new Validator(fsm).validate()).to.deep.equal({valid: true, errors: [], warnings: []});
+    });
+
+    it('Should report a missing root node', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+      var report;
+
+      fsm.addState({name: 'finalState', isTerminal: true});
+      report = new Validator(fsm).validate();
+
+      expect(report.valid).to.equal(false);
+      expect(report.errors[0].type).to.equal('missingRoot');
+    });
+
+    it('Should report transitions that target undefined states', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+      var report;
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [
+          {state: 'finalState', criteria: 1},
+          {state: 'missingState', criteria: 2}
+        ]},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      report = new Validator(fsm).validate();
+
+      expect(report.valid).to.equal(false);
+      expect(types(report.errors)).to.deep.equal(['danglingTransition:initialState']);
+      expect(report.errors[0].target).to.equal('missingState');
+    });
+
+    it('Should report non-terminal states without outgoing transitions', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+      var report;
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [
+          {state: 'finalState', criteria: 1},
+          {state: 'stuckState', criteria: 2}
+        ]},
+        {name: 'stuckState'},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      report = new Validator(fsm).validate();
+
+      expect(types(report.errors)).to.deep.equal(['deadEnd:stuckState']);
+    });
+
+    it('Should warn about states that are unreachable from the root node', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+      var report;
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'finalState', criteria: 1}]},
+        {name: 'orphanState', outgoingTransitions: [{state: 'finalState', criteria: 1}]},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      report = new Validator(fsm).validate();
+
+      expect(report.valid).to.equal(true);
+      expect(types(report.warnings)).to.deep.equal(['unreachableState:orphanState']);
+    });
+
+    it('Should warn about states that cannot reach a terminal or accepting state', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+      var report;
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [
+          {state: 'acceptingState', criteria: 1},
+          {state: 'loopState', criteria: 2}
+        ]},
+        {name: 'acceptingState', accept: function () {}, outgoingTransitions: [
+          {state: 'initialState', criteria: 1}
+        ]},
+        {name: 'loopState', outgoingTransitions: [{state: 'otherLoopState', criteria: 1}]},
+        {name: 'otherLoopState', outgoingTransitions: [{state: 'loopState', criteria: 1}]}
+      ]);
+
+      report = new Validator(fsm).validate();
+
+      expect(types(report.warnings)).to.deep.equal([
+        'trappedState:loopState',
+        'trappedState:otherLoopState'
+      ]);
+    });
+
+    it('Should consider the root node an exit if the machine resets there', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine', resetAtRoot: true});
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'loopState', criteria: 1}]},
+        {name: 'loopState', outgoingTransitions: [{state: 'initialState', criteria: 1}]}
+      ]);
+
+      expect(new Validator(fsm).validate().warnings).to.deep.equal([]);
+    });
+
+    it('Should follow the initial states and the transitions of the parent states', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
+        {name: 'parentState', isInitial: true, initial: 'childState', outgoingTransitions: [
+          {state: 'finalState', criteria: 1}
+        ]},
+        {name: 'childState', parent: 'parentState'},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      expect(new Validator(fsm).validate()).to.deep.equal({valid: true, errors: [], warnings: []});
+    });
+
+    it('Should report compound states without a valid initial state', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
+        {name: 'parentState', isInitial: true, outgoingTransitions: [{state: 'finalState', criteria: 1}]},
+        {name: 'childState', parent: 'parentState', initial: 'finalState', outgoingTransitions: [
+          {state: 'finalState', criteria: 2}
+        ]},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      expect(types(new Validator(fsm).validate().errors)).to.deep.equal([
+        'missingInitialState:parentState',
+        'missingInitialState:childState'
+      ]);
+    });
+
+    it('Should validate the regions of parallel states', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+      var report;
+
+      fsm.addState({name: 'device', isInitial: true, regions: [
+        {name: 'power', states: [
+          {name: 'battery', isInitial: true, outgoingTransitions: [{state: 'charging', criteria: 'plug'}]}
+        ]}
+      ]});
+
+      report = new Validator(fsm).validate();
+
+      expect(types(report.errors)).to.deep.equal(['danglingTransition:battery']);
+      expect(report.errors[0].region).to.equal('device:power');
+      expect(report.errors[0].message).to.contain('In the region "power" of "device"');
+    });
+
+    it('Should throw an exception for an invalid machine if requested', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [{state: 'missingState', criteria: 1}]}
+      ]);
+
+      expect(function () {
+        new Validator(fsm).validate({throw: true});
+      }).to.throw(Error, '[AwesomeAutomata:test-machine] Invalid state machine');
+    });
+  });
+
+  describe('checkDeterminism([options])', function () {
+    var createMachine = function () {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [
+          {state: 'firstState', criteria: 'a'},
+          {state: 'secondState', criteria: function isLetter(input) {
+            return /^[a-z]$/.test(input);
+          }},
+          {state: 'thirdState', criteria: 'a'},
+          {state: 'thirdState', criteria: function (input, previousState) {
+            return previousState.getName() === input; // Throws without a previous state
+          }}
+        ]},
+        {name: 'firstState', isTerminal: true},
+        {name: 'secondState', isTerminal: true},
+        {name: 'thirdState', isTerminal: true}
+      ]);
+
+      return fsm;
+    };
+
+    it('Should report a deterministic machine', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addStates([
+        {name: 'initialState', isInitial: true, outgoingTransitions: [
+          {state: 'finalState', criteria: 'a'},
+          {state: 'finalState', criteria: 'b'}
+        ]},
+        {name: 'finalState', isTerminal: true}
+      ]);
+
+      expect(new Validator(fsm).checkDeterminism({alphabet: ['a', 'b', 'c']})).to.deep.equal({
+        deterministic: true,
+        issues: []
+      });
+    });
+
+    it('Should report primitive transitions shadowed by an earlier transition with the same value', function() {
+      var report = new Validator(createMachine()).checkDeterminism();
+
+      expect(report.deterministic).to.equal(false);
+      expect(report.issues).to.have.length(1);
+      expect(report.issues[0].type).to.equal('shadowedTransition');
+      expect(report.issues[0].state).to.equal('initialState');
+      expect(report.issues[0].transition).to.equal(2);
+      expect(report.issues[0].shadowedBy).to.equal(0);
+      expect(report.issues[0].value).to.equal('a');
+    });
+
+    it('Should report primitive transitions shadowed by an earlier matcher', function() {
+      var fsm = new AwesomeAutomata({name: 'test-machine'});
+
+      fsm.addState({name: 'initialState', isInitial: true, outgoingTransitions: [
+        {state: 'initialState', criteria: {range: ['0', '9']}},
+        {state: 'initialState', criteria: {and: [{any: true}, function () { return false; }]}},
+        {state: 'initialState', criteria: '5'},
+        {state: 'initialState', criteria: 'a'}
+      ]});
+
+      expect(fsm.checkDeterminism().issues.map(function (issue) {
+        return [issue.transition, issue.shadowedBy];
+      })).to.deep.equal([[2, 0]]);
+    });
+
+    it('Should report inputs from the alphabet that match more than one transition', function() {
+      var report = new Validator(createMachine()).checkDeterminism({alphabet: ['a', 'b', '1']});
+      var ambiguous = report.issues.filter(function (issue) {
+        return issue.type === 'ambiguousInput';
+      });
+
+      expect(ambiguous).to.have.length(1);
+      expect(ambiguous[0].input).to.equal('a');
+      expect(ambiguous[0].transitions).to.deep.equal([0, 1, 2]);
+    });
+
+    it('Should throw an exception for a nondeterministic machine if requested', function() {
+      expect(function () {
+        new Validator(createMachine()).checkDeterminism({throw: true});
+      }).to.throw(Error, 'Nondeterministic state machine');
+    });
+  });
+});
@@ -0,0 +1,36 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var AwesomeAutomata = require('../lib/AwesomeAutomata');
+var errors = require('../lib/errors');
+
+describe('errors', function () {
+  it('Should be exported by AwesomeAutomata', function() {
+    expect(AwesomeAutomata.AutomataError).to.equal(errors.AutomataError);
+    expect(AwesomeAutomata.NoTransitionError).to.equal(errors.NoTransitionError);
+    expect(AwesomeAutomata.DanglingTransitionError).to.equal(errors.DanglingTransitionError);
+  });
+
+  it('Should create errors with a message, a name, a stack and the given properties', function() {
+    var err = new errors.NoTransitionError('no transition', {state: 'start', input: 'a', history: []});
+
+    expect(err).to.be.an.instanceof(Error);
+    expect(err).to.be.an.instanceof(errors.AutomataError);
+    expect(err.name).to.equal('NoTransitionError');
+    expect(err.message).to.equal('no transition');
+    expect(err.stack).to.contain('no transition');
+    expect(err.state).to.equal('start');
+    expect(err.input).to.equal('a');
+    expect(err.history).to.deep.equal([]);
+  });
+
+  it('Should not confuse the different kinds of errors', function() {
+    var err = new errors.DanglingTransitionError('dangling', {target: 'missing'});
+
+    expect(err).to.be.an.instanceof(errors.AutomataError);
+    expect(err).to.not.be.an.instanceof(errors.NoTransitionError);
+    expect(err.name).to.equal('DanglingTransitionError');
+    expect(err.target).to.equal('missing');
+    expect(new errors.AutomataError('generic').name).to.equal('AutomataError');
+  });
+});